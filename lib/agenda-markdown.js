@@ -0,0 +1,67 @@
+/**
+ * Agenda Markdown
+ *
+ * Renders the daily agenda as Markdown, ready to drop into a chat or e-mail
+ * message. Times and dates are shown in the agenda's time zone.
+ */
+
+// Characters that would otherwise turn titles into formatting or links
+const MARKDOWN_SPECIAL = /([\\`*_[\]<>])/g;
+
+const escape = text => String(text).replace(MARKDOWN_SPECIAL, '\\$1');
+
+/**
+ * Markdown for an agenda as returned by gtdDB.getAgenda. Empty sections are
+ * left out.
+ */
+export function renderAgendaMarkdown(agenda) {
+  const { timezone } = agenda;
+  const formatDate = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+  });
+  const formatDay = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, day: 'numeric', month: 'short' });
+  const formatTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  });
+
+  // Under a context heading the contexts go without saying
+  const details = (action, { withContexts = true } = {}) => {
+    const parts = [];
+    if (withContexts && action.contexts?.length > 0) parts.push(action.contexts.map(escape).join(' '));
+    if (action.project) parts.push(escape(action.project));
+    if (action.time_estimate_minutes) parts.push(`${action.time_estimate_minutes} min`);
+    return parts.length > 0 ? ` _(${parts.join(', ')})_` : '';
+  };
+
+  const sections = [];
+  const section = (title, items, line) => {
+    if (items.length > 0) {
+      sections.push([`## ${title} (${items.length})`, ...items.map(item => `- ${line(item)}`)].join('\n'));
+    }
+  };
+
+  section('Overdue', agenda.overdue, action =>
+    `**${escape(action.title)}** - due ${formatDay.format(new Date(action.due_at))}${details(action)}`);
+  section('Due today', agenda.due_today, action =>
+    `${formatTime.format(new Date(action.due_at))} **${escape(action.title)}**${details(action)}`);
+  section('From the tickler', agenda.ticklers, document => escape(document.title));
+  section('Follow-ups', agenda.follow_ups, action =>
+    `${escape(action.title)} - waiting on ${escape(action.delegatee)}` +
+    (action.delegated_at ? ` since ${formatDay.format(new Date(action.delegated_at))}` : ''));
+
+  if (agenda.engage.length > 0) {
+    sections.push([
+      '## Next actions',
+      ...agenda.engage.map(({ context, actions }) => [
+        `### ${context ? escape(context) : 'Anywhere'}`,
+        ...actions.map(action => `- ${escape(action.title)}${details(action, { withContexts: !context })}`)
+      ].join('\n'))
+    ].join('\n\n'));
+  }
+
+  const heading = `# Agenda for ${formatDate.format(new Date(agenda.starts_at))}`;
+  if (sections.length === 0) {
+    return `${heading}\n\nNothing on the agenda today.\n`;
+  }
+  return `${heading}\n\n${sections.join('\n\n')}\n`;
+}
@@ -0,0 +1,328 @@
+/**
+ * Attachment Storage
+ *
+ * Content-addressed blob storage for attachment bytes. Blobs are keyed by
+ * their SHA-256, so identical files are stored once. Two backends:
+ * - local: files under ATTACHMENT_STORAGE_PATH
+ * - s3:    any S3-compatible service (AWS, MinIO, R2), signed with SigV4
+ *
+ * storage_path values look like local://sha256/ab/cd/<hash> or
+ * s3://<bucket>/sha256/ab/cd/<hash>.
+ */
+
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import { mkdir, writeFile, rename, stat, unlink } from 'fs/promises';
+import { join, dirname } from 'path';
+import { Readable } from 'stream';
+
+export function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function blobKey(hash) {
+  return `sha256/${hash.slice(0, 2)}/${hash.slice(2, 4)}/${hash}`;
+}
+
+export class LocalStorageBackend {
+  constructor({ root }) {
+    this.scheme = 'local';
+    this.root = root;
+  }
+
+  pathFor(key) {
+    return join(this.root, ...key.split('/'));
+  }
+
+  storagePath(key) {
+    return `local://${key}`;
+  }
+
+  keyFromStoragePath(storagePath) {
+    return storagePath.startsWith('local://') ? storagePath.slice('local://'.length) : null;
+  }
+
+  async exists(key) {
+    try {
+      await stat(this.pathFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async put(key, buffer) {
+    const path = this.pathFor(key);
+    await mkdir(dirname(path), { recursive: true });
+
+    // Write then rename so readers never see a partial blob
+    const tempPath = `${path}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tempPath, buffer);
+    await rename(tempPath, path);
+  }
+
+  // range is inclusive { start, end }, as in an HTTP Range header
+  async get(key, range = null) {
+    return createReadStream(this.pathFor(key), range ? { start: range.start, end: range.end } : {});
+  }
+
+  async delete(key) {
+    try {
+      await unlink(this.pathFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+export class S3StorageBackend {
+  constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, prefix = '', forcePathStyle }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.scheme = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+    // MinIO-style stand-ins usually only support path-style addressing
+    this.forcePathStyle = forcePathStyle ?? Boolean(endpoint);
+  }
+
+  storagePath(key) {
+    return `s3://${this.bucket}/${key}`;
+  }
+
+  keyFromStoragePath(storagePath) {
+    const prefix = `s3://${this.bucket}/`;
+    return storagePath.startsWith(prefix) ? storagePath.slice(prefix.length) : null;
+  }
+
+  objectUrl(key) {
+    const objectKey = [this.prefix, key].filter(Boolean).join('/');
+    const encodedKey = objectKey.split('/').map(encodeRfc3986).join('/');
+    const url = new URL(this.endpoint.toString());
+
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `/${encodedKey}`;
+    }
+    return url;
+  }
+
+  async request(method, key, { body, headers = {}, payloadHash } = {}) {
+    const url = this.objectUrl(key);
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: payloadHash || (body ? sha256(body) : sha256('')),
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    return fetch(url, { method, headers: signedHeaders, body });
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', key);
+    if (response.status === 404) return false;
+    if (!response.ok) throw new Error(`S3 HEAD failed with status ${response.status}`);
+    return true;
+  }
+
+  async put(key, buffer, { contentType, hash } = {}) {
+    const response = await this.request('PUT', key, {
+      body: buffer,
+      payloadHash: hash,
+      headers: {
+        'content-type': contentType || 'application/octet-stream',
+        'content-length': String(buffer.length)
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`S3 PUT failed with status ${response.status}: ${await response.text()}`);
+    }
+  }
+
+  async get(key, range = null) {
+    const response = await this.request('GET', key, {
+      headers: range ? { range: `bytes=${range.start}-${range.end}` } : {}
+    });
+
+    if (!response.ok) {
+      throw new Error(`S3 GET failed with status ${response.status}`);
+    }
+    return Readable.fromWeb(response.body);
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 DELETE failed with status ${response.status}`);
+    }
+  }
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * AWS Signature Version 4 for a single S3 request.
+ * Returns the headers to send, including Authorization.
+ */
+export function signRequest({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+
+  const headerNames = Object.keys(allHeaders).sort();
+  const canonicalHeaders = headerNames
+    .map(name => `${name}:${allHeaders[name].trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+  const signedHeaderList = headerNames.join(';');
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaderList,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...allHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`
+  };
+}
+
+/**
+ * Build the backend selected by ATTACHMENT_STORAGE (local by default)
+ */
+export function createStorageBackend(env = process.env) {
+  const backend = env.ATTACHMENT_STORAGE || 'local';
+
+  switch (backend) {
+    case 'local':
+      return new LocalStorageBackend({
+        root: env.ATTACHMENT_STORAGE_PATH ||
+          (env.RAILWAY_ENVIRONMENT ? '/app/persistent-data/attachments' : './data/attachments')
+      });
+
+    case 's3':
+      return new S3StorageBackend({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        prefix: env.S3_PREFIX,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === undefined ? undefined : env.S3_FORCE_PATH_STYLE === 'true'
+      });
+
+    default:
+      throw new Error(`Unknown ATTACHMENT_STORAGE backend: ${backend}`);
+  }
+}
+
+export class AttachmentStorage {
+  constructor(backend = null) {
+    this.backendInstance = backend;
+  }
+
+  // Created lazily so a misconfigured backend only fails attachment requests
+  get backend() {
+    if (!this.backendInstance) {
+      this.backendInstance = createStorageBackend();
+    }
+    return this.backendInstance;
+  }
+
+  /**
+   * Where store puts these bytes, without writing them.
+   * Returns { hash, size, storagePath }.
+   */
+  locate(buffer) {
+    const hash = sha256(buffer);
+    return { hash, size: buffer.length, storagePath: this.backend.storagePath(blobKey(hash)) };
+  }
+
+  /**
+   * Store bytes, skipping the write when the same content is already stored.
+   * Blobs are shared, so callers write them under the storage_path's lock
+   * (gtdDB.addAttachment's writeBlob) to keep a purge from removing them
+   * before the attachment row referencing them commits.
+   * Returns { hash, size, storagePath }.
+   */
+  async store(buffer, { contentType } = {}) {
+    const located = this.locate(buffer);
+    const key = blobKey(located.hash);
+
+    if (!(await this.backend.exists(key))) {
+      await this.backend.put(key, buffer, { contentType, hash: located.hash });
+    }
+
+    return located;
+  }
+
+  // Whether this backend holds the bytes behind a storage_path. Legacy rows
+  // (e.g. evernote://resource/...) only recorded a reference.
+  isStored(storagePath) {
+    return Boolean(storagePath && this.backend.keyFromStoragePath(storagePath));
+  }
+
+  async open(storagePath, range = null) {
+    const key = this.backend.keyFromStoragePath(storagePath);
+    if (!key) {
+      throw new Error(`Storage path is not held by the ${this.backend.scheme} backend: ${storagePath}`);
+    }
+    return this.backend.get(key, range);
+  }
+
+  async remove(storagePath) {
+    const key = this.backend.keyFromStoragePath(storagePath);
+    if (key) {
+      await this.backend.delete(key);
+    }
+  }
+}
+
+export const attachmentStorage = new AttachmentStorage();
+export default AttachmentStorage;
@@ -3,6 +3,7 @@ import { promisify } from 'util';
 import crypto from 'crypto';
 import sanitizeHtml from 'sanitize-html';
 import { gtdDB } from './gtd-database-client.js';
+import { attachmentStorage } from './attachment-storage.js';
 
 const parseXML = promisify(parseString);
 
@@ -47,6 +48,11 @@ export class EvernoteProcessor {
       this.stats.total = notes.length;
       console.log(`📊 Found ${notes.length} notes to process`);
 
+      // Tags naming a registered context map onto it
+      this.registeredContexts = new Map(
+        (await gtdDB.getContextNames()).map(name => [name.slice(1).toLowerCase(), name])
+      );
+
       // Process notes in batches
       const batchSize = 10;
       for (let i = 0; i < notes.length; i += batchSize) {
@@ -111,8 +117,8 @@ export class EvernoteProcessor {
         evernote_attributes: attributes
       };
 
-      // Insert or update document
-      const doc = await gtdDB.query(`
+      // Insert or update document, tagging the revision as an Evernote import
+      const doc = await gtdDB.withChangeSource('evernote', client => client.query(`
         INSERT INTO documents 
         (source_id, title, content, gtd_contexts, gtd_project, gtd_area, 
          source_type, created_at, updated_at, metadata)
@@ -127,7 +133,7 @@ export class EvernoteProcessor {
           metadata = EXCLUDED.metadata
         RETURNING id
       `, [sourceId, title, content, gtdContexts, gtdProject, gtdArea, 
-          'evernote', created, updated, JSON.stringify(metadata)]);
+          'evernote', created, updated, JSON.stringify(metadata)]));
 
       const docId = doc.rows[0].id;
 
@@ -139,8 +145,9 @@ export class EvernoteProcessor {
         }
       }
 
-      // Add to embedding queue
+      // Add to embedding queue and sync [[wiki links]] in either direction
       await gtdDB.addToEmbeddingQueue(docId);
+      await gtdDB.refreshDocumentLinks(docId);
 
       this.stats.processed++;
       console.log(`✓ Processed: ${title}`);
@@ -190,10 +197,17 @@ export class EvernoteProcessor {
   }
 
   extractGTDContexts(tags) {
-    // Look for @context tags
-    const contexts = tags
-      .filter(tag => tag.startsWith('@') || tag.match(/^(computer|phone|office|home|errands|waiting|someday)/i))
-      .map(tag => tag.startsWith('@') ? tag : `@${tag.toLowerCase()}`);
+    const registered = this.registeredContexts || new Map();
+
+    // Registered contexts, with or without the @ and in any case, then any
+    // other @context tags
+    const contexts = [];
+    for (const tag of tags) {
+      const context = registered.get(tag.replace(/^@/, '').toLowerCase())
+        || (tag.startsWith('@') ? tag : null)
+        || (tag.match(/^(computer|phone|office|home|errands|waiting|someday)/i) ? `@${tag.toLowerCase()}` : null);
+      if (context && !contexts.includes(context)) contexts.push(context);
+    }
     
     // Add default context if none found
     if (contexts.length === 0) {
@@ -247,38 +261,41 @@ export class EvernoteProcessor {
       const data = resource.data;
       let fileSize = 0;
       let storagePath = '';
+      let contentHash = null;
+      let writeBlob = null;
       
       if (data && data._) {
         // Base64 encoded data
-        const buffer = Buffer.from(data._, data.$.encoding || 'base64');
-        fileSize = buffer.length;
+        const buffer = Buffer.from(data._, data.$?.encoding || 'base64');
+        const stored = attachmentStorage.locate(buffer);
+        writeBlob = () => attachmentStorage.store(buffer, { contentType: mime });
         
-        // For now, store reference to the data
-        // In production, upload to cloud storage
-        storagePath = `evernote://resource/${resource.$?.hash || crypto.randomBytes(16).toString('hex')}`;
+        fileSize = stored.size;
+        storagePath = stored.storagePath;
+        contentHash = stored.hash;
       }
       
       const recognition = resource.recognition;
       let extractedText = '';
       
-      if (recognition && recognition._) {
+      if (recognition) {
         // Try to extract text from recognition data (OCR)
         try {
-          const recoXml = Buffer.from(recognition._, 'base64').toString('utf8');
-          const recoResult = await parseXML(recoXml);
-          // Extract text from recognition XML (simplified)
-          extractedText = JSON.stringify(recoResult);
+          extractedText = await this.extractRecognitionText(recognition);
         } catch (e) {
           // Ignore OCR extraction errors
         }
       }
       
+      // OCR text stands in for extraction; other stored files are queued for it
       await gtdDB.addAttachment(documentId, {
         filename,
         fileType: mime,
         fileSize,
         storagePath,
+        contentHash,
         extractedText,
+        extractionStatus: extractedText ? 'done' : storagePath ? 'pending' : 'unsupported',
         metadata: {
           hash: resource.$?.hash,
           width: resource.width,
@@ -286,13 +303,40 @@ export class EvernoteProcessor {
           duration: resource.duration,
           recognition: !!recognition
         }
-      });
+      }, { writeBlob });
       
     } catch (error) {
       console.error('Failed to process resource:', error);
     }
   }
 
+  // Recognition data is a recoIndex XML document, usually as CDATA (older
+  // exports base64 encode it). Each item lists candidate words with a
+  // weight; keep the best candidate of each.
+  async extractRecognitionText(recognition) {
+    let recoXml = typeof recognition === 'string' ? recognition : recognition._;
+    if (!recoXml) return '';
+    
+    recoXml = recoXml.trim();
+    if (!recoXml.startsWith('<')) {
+      recoXml = Buffer.from(recoXml, 'base64').toString('utf8');
+    }
+    
+    const recoResult = await parseXML(recoXml);
+    const items = recoResult?.recoIndex?.item || [];
+    
+    return items
+      .map(item => {
+        const candidates = (item.t || []).map(t => typeof t === 'string'
+          ? { text: t, weight: 0 }
+          : { text: t._, weight: parseInt(t.$?.w || '0', 10) });
+        candidates.sort((a, b) => b.weight - a.weight);
+        return candidates[0]?.text;
+      })
+      .filter(Boolean)
+      .join(' ');
+  }
+
   parseDate(dateStr) {
     if (!dateStr) return new Date();
     
@@ -1,10 +1,336 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { extractWikiLinks } from './wiki-links.js';
+import { nextDueDate, parseRule } from './recurrence.js';
 
 dotenv.config();
 
 const { Pool } = pg;
 
+// Columns returned by list endpoints - omits the embedding and tsvector,
+// which are large and only meaningful to the search functions
+const DOCUMENT_LIST_COLUMNS = `
+  d.id, d.source_id, d.title, substring(d.content, 1, 200) as snippet,
+  d.gtd_contexts, d.gtd_project, d.project_id, d.gtd_area, d.gtd_status,
+  d.metadata, d.source_type, d.created_at, d.updated_at, d.processed_at, d.deleted_at,
+  d.tickle_at, d.version, d.status_changed_at, d.completed_at
+`;
+
+// Document statuses; moves between them are limited to the transitions in
+// document_status_transitions, which a trigger enforces
+export const DOCUMENT_STATUSES = ['active', 'someday', 'reference', 'completed', 'archived'];
+
+// Facets search results are counted by, keyed as they are selected
+export const SEARCH_FACETS = ['contexts', 'project', 'area', 'source_type', 'status', 'created_year'];
+const SEARCH_FACET_VALUE_LIMIT = 20;
+
+// A facet selection as the JSONB the search functions take: only facets with
+// values selected, or null when none are
+export const facetSelection = facets => {
+  const selected = Object.entries(facets || {}).filter(([, values]) => values && values.length > 0);
+  return selected.length > 0 ? JSON.stringify(Object.fromEntries(selected)) : null;
+};
+
+// Search filters as the JSONB list document_matches_filters takes. Every search
+// mode applies the same two: the filters sent with the search, by the names
+// schemas.search gives them, and the field operators parsed from the query,
+// which are keyed for document_matches_filters already. Null when neither
+// narrows anything.
+export const searchFilters = (filters = {}, operators = null) => {
+  const {
+    contexts, contextsMatch = 'any', project, area, status, sourceType,
+    createdAfter, createdBefore, updatedAfter, updatedBefore, hasAttachment
+  } = filters || {};
+  const values = value => typeof value === 'string' ? [value] : value;
+
+  const requested = Object.fromEntries(Object.entries({
+    [contextsMatch === 'all' ? 'contexts_all' : 'contexts_any']: contexts,
+    project: values(project),
+    area: values(area),
+    status: values(status),
+    source_type: values(sourceType),
+    created_after: createdAfter,
+    created_before: createdBefore,
+    updated_after: updatedAfter,
+    updated_before: updatedBefore,
+    has_attachment: hasAttachment
+  }).filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)));
+
+  const list = [requested, operators].filter(filter => filter && Object.keys(filter).length > 0);
+  return list.length > 0 ? JSON.stringify(list) : null;
+};
+
+// Columns updateDocument may write, keyed by the camelCase names clients send
+const DOCUMENT_WRITABLE_COLUMNS = {
+  title: 'title',
+  content: 'content',
+  gtdContexts: 'gtd_contexts',
+  gtdProject: 'gtd_project',
+  gtdArea: 'gtd_area',
+  gtdStatus: 'gtd_status',
+  tickleAt: 'tickle_at',
+  metadata: 'metadata'
+};
+
+// Columns updateLink may write
+const LINK_WRITABLE_COLUMNS = {
+  linkType: 'link_type',
+  linkText: 'link_text',
+  linkContext: 'link_context'
+};
+
+// Columns createAction and updateAction may write
+const ACTION_WRITABLE_COLUMNS = {
+  documentId: 'document_id',
+  title: 'title',
+  notes: 'notes',
+  contexts: 'contexts',
+  project: 'project',
+  projectId: 'project_id',
+  area: 'area',
+  dueAt: 'due_at',
+  deferUntil: 'defer_until',
+  timeEstimate: 'time_estimate_minutes',
+  energy: 'energy',
+  priority: 'priority',
+  completedAt: 'completed_at',
+  delegatee: 'delegatee',
+  delegatedAt: 'delegated_at',
+  followUpAt: 'follow_up_at',
+  receivedAt: 'received_at',
+  metadata: 'metadata'
+};
+
+// True while action a depends on an action that is still open
+const ACTION_BLOCKED = `EXISTS (
+  SELECT 1 FROM action_dependencies ad
+  JOIN actions dep ON dep.id = ad.depends_on_id
+  WHERE ad.action_id = a.id AND dep.completed_at IS NULL
+)`;
+
+// True while action a is delegated and not yet received
+const ACTION_WAITING = '(a.delegatee IS NOT NULL AND a.received_at IS NULL)';
+
+// True when open action a can be done now: not deferred, blocked or waiting,
+// and not part of a project that is on hold, someday, completed or dropped.
+// Projects are aliased ap since callers embed this where p is taken.
+const ACTION_AVAILABLE = `(
+  (a.defer_until IS NULL OR a.defer_until <= NOW())
+  AND NOT ${ACTION_WAITING}
+  AND NOT ${ACTION_BLOCKED}
+  AND NOT EXISTS (
+    SELECT 1 FROM projects ap WHERE ap.id = a.project_id AND ap.status <> 'active'
+  )
+)`;
+
+// Action rows with the ids they depend on, whether they are blocked and the
+// schedule of the series they recur in
+const ACTION_COLUMNS = `
+  a.*,
+  ARRAY(
+    SELECT ad.depends_on_id FROM action_dependencies ad
+    WHERE ad.action_id = a.id ORDER BY ad.depends_on_id
+  ) as blocked_by,
+  ${ACTION_BLOCKED} as is_blocked,
+  ${ACTION_WAITING} as is_waiting,
+  (SELECT json_build_object(
+     'series_id', s.id, 'rule', s.rule, 'mode', s.mode,
+     'timezone', s.timezone, 'exceptions', s.exceptions
+   ) FROM action_series s WHERE s.id = a.series_id) as recurrence
+`;
+
+// Fields a new instance of a recurring action carries over from the one completed
+const ACTION_SERIES_COPIED_COLUMNS = [
+  'document_id', 'title', 'notes', 'contexts', 'project_id', 'area',
+  'time_estimate_minutes', 'energy', 'priority', 'metadata'
+];
+
+// Engage ranking: share of the score from each factor, the days before a due
+// date at which urgency is half that of an overdue action, and the age at
+// which an action scores full age points
+const ENGAGE_WEIGHTS = { due: 0.5, priority: 0.3, age: 0.2 };
+const ENGAGE_DUE_HALF_LIFE_DAYS = 2;
+const ENGAGE_AGE_CAP_DAYS = 30;
+
+export const ENERGY_LEVELS = ['low', 'medium', 'high'];
+
+export const PROJECT_STATUSES = ['active', 'on-hold', 'someday', 'completed', 'dropped'];
+
+// Columns createProject and updateProject may write
+const PROJECT_WRITABLE_COLUMNS = {
+  name: 'name',
+  desiredOutcome: 'desired_outcome',
+  status: 'status',
+  area: 'area',
+  nextReviewAt: 'next_review_at',
+  horizonId: 'horizon_id',
+  metadata: 'metadata'
+};
+
+// Horizons of focus, highest first; a parent is always higher than its children
+// and projects sit under a goal or an area
+export const HORIZON_LEVELS = ['purpose', 'vision', 'goal', 'area'];
+export const PROJECT_HORIZON_LEVELS = ['goal', 'area'];
+
+// Columns createHorizon and updateHorizon may write
+const HORIZON_WRITABLE_COLUMNS = {
+  level: 'level',
+  name: 'name',
+  description: 'description',
+  parentId: 'parent_id',
+  metadata: 'metadata'
+};
+
+// Columns createContext and updateContext may write
+const CONTEXT_WRITABLE_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  parentId: 'parent_id',
+  availableDays: 'available_days',
+  availableFrom: 'available_from',
+  availableUntil: 'available_until',
+  timezone: 'timezone',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  radiusMeters: 'radius_meters',
+  metadata: 'metadata'
+};
+
+// How close a point must be to a context with a location but no radius
+export const CONTEXT_DEFAULT_RADIUS_METERS = 100;
+
+// Captures land in @inbox and the inbox is found by that tag, so it cannot be
+// renamed, merged into another context or deleted. Attempts throw an error
+// with this code.
+export const INBOX_CONTEXT_PROTECTED = 'INBOX_CONTEXT_PROTECTED';
+
+const isInboxContext = name => name.trim().toLowerCase() === '@inbox';
+
+const inboxContextProtected = (action) => Object.assign(
+  new Error(`The @inbox context cannot be ${action}`),
+  { code: INBOX_CONTEXT_PROTECTED }
+);
+
+// Context rows with their path down the hierarchy (@computer/@work), live
+// document and open action counts, whether the context is available at $1
+// and, given a point ($2, $3), how far away it is in metres
+const CONTEXT_SELECT = `
+  WITH RECURSIVE context_paths(id, path) AS (
+    SELECT id, name::text FROM contexts WHERE parent_id IS NULL
+    UNION ALL
+    SELECT c.id, p.path || '/' || c.name
+    FROM contexts c
+    JOIN context_paths p ON c.parent_id = p.id
+  ),
+  localized AS (
+    SELECT c.*, $1::timestamptz AT TIME ZONE c.timezone as local_at FROM contexts c
+  )
+  SELECT
+    c.id, c.name, c.description, c.parent_id, COALESCE(cp.path, c.name) as path,
+    c.available_days, c.available_from, c.available_until, c.timezone,
+    c.latitude, c.longitude, c.radius_meters, c.metadata, c.created_at, c.updated_at,
+    (SELECT COUNT(*) FROM documents d
+     WHERE d.is_active = true AND d.gtd_contexts @> ARRAY[c.name::text])::int as document_count,
+    (SELECT COUNT(*) FROM actions a
+     WHERE a.completed_at IS NULL AND a.contexts @> ARRAY[c.name::text])::int as open_action_count,
+    (
+      (cardinality(c.available_days) = 0 OR EXTRACT(ISODOW FROM c.local_at)::int = ANY(c.available_days))
+      AND (c.available_from IS NULL OR CASE
+        WHEN c.available_from < c.available_until
+          THEN c.local_at::time >= c.available_from AND c.local_at::time < c.available_until
+        ELSE c.local_at::time >= c.available_from OR c.local_at::time < c.available_until
+      END)
+    ) as available,
+    CASE WHEN c.latitude IS NOT NULL AND $2::float8 IS NOT NULL THEN
+      round(2 * 6371000 * asin(sqrt(
+        power(sin(radians($2::float8 - c.latitude) / 2), 2) +
+        cos(radians(c.latitude)) * cos(radians($2::float8)) * power(sin(radians($3::float8 - c.longitude) / 2), 2)
+      )))::int
+    END as distance_meters
+  FROM localized c
+  LEFT JOIN context_paths cp ON cp.id = c.id
+`;
+
+// Project rows with document and action counts. Next actions are open actions
+// that are neither deferred, blocked nor waiting.
+const PROJECT_COLUMNS = `
+  p.*,
+  (SELECT COUNT(*) FROM documents d WHERE d.project_id = p.id AND d.is_active = true)::int as document_count,
+  (SELECT COUNT(*) FROM actions a WHERE a.project_id = p.id AND a.completed_at IS NULL)::int as open_action_count,
+  (SELECT COUNT(*) FROM actions a
+   WHERE a.project_id = p.id AND a.completed_at IS NULL AND ${ACTION_AVAILABLE})::int as next_action_count,
+  (SELECT COUNT(*) FROM actions a
+   WHERE a.project_id = p.id AND a.completed_at IS NULL AND ${ACTION_WAITING})::int as waiting_count
+`;
+
+// Columns updateMigrationProgress may write
+const MIGRATION_PROGRESS_COLUMNS = [
+  'total_files',
+  'processed_files',
+  'failed_files',
+  'status',
+  'error_log',
+  'started_at',
+  'completed_at'
+];
+
+export const BULK_OPERATIONS = [
+  'add_contexts',
+  'remove_contexts',
+  'set_project',
+  'set_area',
+  'set_status',
+  'archive',
+  'delete'
+];
+
+// Thrown inside a bulk transaction to force a rollback once every item has been tried
+const BULK_ROLLBACK = Symbol('bulk rollback');
+
+// Sort keys accepted by listDocuments, mapped to their SQL type for cursor comparison
+export const DOCUMENT_SORT_FIELDS = {
+  created_at: 'timestamp',
+  updated_at: 'timestamp',
+  title: 'text'
+};
+
+// The trash view can additionally be ordered by when documents were deleted
+export const TRASH_SORT_FIELDS = {
+  ...DOCUMENT_SORT_FIELDS,
+  deleted_at: 'timestamp'
+};
+
+// How document listings treat documents waiting in the tickler
+export const TICKLED_FILTERS = ['exclude', 'include', 'only'];
+
+// What an inbox item can turn into: nothing (trash), reference material,
+// someday/maybe or a tickler item (incubate), done on the spot because it
+// takes under two minutes (do_it), a waiting-for item (delegate), a next
+// action (defer) or a project
+export const CLARIFY_DECISIONS = ['trash', 'reference', 'incubate', 'do_it', 'delegate', 'defer', 'project'];
+
+// The weekly review checklist, in order
+export const REVIEW_STEPS = [
+  'empty_inbox',
+  'review_projects',
+  'review_waiting_for',
+  'review_someday',
+  'calendar_lookback',
+  'calendar_lookahead'
+];
+
+export const REVIEW_ITEM_TYPES = ['document', 'project', 'action'];
+
+// Days the calendar steps look back over and ahead to
+const REVIEW_LOOKBACK_DAYS = 7;
+const REVIEW_LOOKAHEAD_DAYS = 14;
+
+// True when document d is in the inbox: live, tagged @inbox and not tickled
+const INBOX_DOCUMENT = `(
+  d.is_active = true AND '@inbox' = ANY(d.gtd_contexts)
+  AND (d.tickle_at IS NULL OR d.tickle_at <= NOW())
+)`;
+
 class GTDDatabaseClient {
   constructor() {
     this.pool = null;
@@ -80,6 +406,15 @@ class GTDDatabaseClient {
     }
   }
 
+  // Run callback in a transaction tagged with a change source, which the
+  // document revision trigger records alongside each snapshot
+  async withChangeSource(source, callback) {
+    return this.transaction(async (client) => {
+      await client.query("SELECT set_config('gtd.change_source', $1, true)", [source]);
+      return callback(client);
+    });
+  }
+
   async close() {
     if (this.pool) {
       await this.pool.end();
@@ -88,57 +423,179 @@ class GTDDatabaseClient {
   }
 
   // GTD-specific helper methods
-  async searchDocuments(query, filters = {}) {
-    const { contexts, area, limit = 50 } = filters;
+  // The search methods take the search's filters (see searchFilters) alongside
+  // limit, facets and the query's field operators in options
+  async searchDocuments(query, options = {}) {
+    const { limit = 50, facets = null, operators = null } = options;
     
     const result = await this.query(
       'SELECT * FROM search_documents($1, $2, $3, $4)',
-      [query, contexts, area, limit]
+      [query, searchFilters(options, operators), facetSelection(facets), limit]
     );
     
     return result.rows;
   }
 
-  async hybridSearch(query, embedding, filters = {}) {
-    const { contexts, vectorWeight = 0.6, limit = 50 } = filters;
+  async vectorSearch(embedding, options = {}) {
+    const { limit = 50, facets = null, operators = null } = options;
+
+    const result = await this.query(
+      'SELECT * FROM vector_search($1, $2, $3, $4)',
+      [embedding, searchFilters(options, operators), facetSelection(facets), limit]
+    );
+
+    return result.rows;
+  }
+
+  async hybridSearch(query, embedding, options = {}) {
+    const { vectorWeight = 0.6, limit = 50, facets = null, operators = null } = options;
     
     const result = await this.query(
-      'SELECT * FROM hybrid_search($1, $2, $3, $4, $5)',
-      [query, embedding, contexts, vectorWeight, limit]
+      'SELECT * FROM hybrid_search($1, $2, $3, $4, $5, $6)',
+      [query, embedding, searchFilters(options, operators), facetSelection(facets), vectorWeight, limit]
     );
     
     return result.rows;
   }
 
-  async createDocument(doc) {
+  // Search results for a query that is all field operators and no text:
+  // every live document the filters match, most recently updated first
+  async filterDocuments(options = {}) {
+    const { limit = 50, facets = null, operators = null } = options;
+
+    const result = await this.query(`
+      SELECT
+        d.id, d.title, substring(d.content, 1, 200) as snippet, 0::real as rank, d.metadata,
+        '[]'::jsonb as matched_attachments
+      FROM documents d
+      WHERE d.is_active = true
+      AND document_matches_filters(d, $1::jsonb)
+      AND document_matches_facets(d, $2::jsonb)
+      ORDER BY d.updated_at DESC, d.id DESC
+      LIMIT $3
+    `, [searchFilters(options, operators), facetSelection(facets), limit]);
+
+    return result.rows;
+  }
+
+  // Facet counts over everything a search matches, not just the page returned:
+  // documents matching the query text (content or attachments) when lexical,
+  // or every document when the query has no text, plus resultIds, narrowed by
+  // the search's filters and the query's field operators. Each facet is
+  // counted with the selection on the other facets applied, so its values stay
+  // alternatives to pick from; total applies the whole selection. Values are
+  // ordered by count and cut at valueLimit, but selected values always appear.
+  async getSearchFacets(query, options = {}) {
+    const {
+      facets = null,
+      operators = null,
+      resultIds = [],
+      lexical = true,
+      valueLimit = SEARCH_FACET_VALUE_LIMIT
+    } = options;
+
+    const result = await this.query(`
+      WITH search_terms AS (
+        SELECT websearch_to_tsquery('english', $1) as query
+      ),
+      matches AS MATERIALIZED (
+        SELECT d
+        FROM documents d
+        CROSS JOIN search_terms st
+        WHERE d.is_active = true
+        AND (
+          ($2::boolean AND (
+            trim($1) = ''
+            OR d.content_vector @@ st.query
+            OR EXISTS (SELECT 1 FROM attachments a WHERE a.document_id = d.id AND a.text_vector @@ st.query)
+          ))
+          OR d.id = ANY($3::int[])
+        )
+        AND document_matches_filters(d, $4::jsonb)
+      )
+      SELECT facet, value, COUNT(*)::int as count
+      FROM (
+        SELECT 'contexts' as facet, unnest((m.d).gtd_contexts) as value
+        FROM matches m WHERE document_matches_facets(m.d, $5::jsonb - 'contexts')
+        UNION ALL
+        SELECT 'project', (m.d).gtd_project
+        FROM matches m WHERE document_matches_facets(m.d, $5::jsonb - 'project')
+        UNION ALL
+        SELECT 'area', (m.d).gtd_area
+        FROM matches m WHERE document_matches_facets(m.d, $5::jsonb - 'area')
+        UNION ALL
+        SELECT 'source_type', (m.d).source_type
+        FROM matches m WHERE document_matches_facets(m.d, $5::jsonb - 'source_type')
+        UNION ALL
+        SELECT 'status', (m.d).gtd_status
+        FROM matches m WHERE document_matches_facets(m.d, $5::jsonb - 'status')
+        UNION ALL
+        SELECT 'created_year', EXTRACT(YEAR FROM (m.d).created_at)::int::text
+        FROM matches m WHERE document_matches_facets(m.d, $5::jsonb - 'created_year')
+        UNION ALL
+        SELECT 'total', NULL
+        FROM matches m WHERE document_matches_facets(m.d, $5::jsonb)
+      ) counted
+      WHERE value IS NOT NULL OR facet = 'total'
+      GROUP BY facet, value
+    `, [query, lexical, resultIds, searchFilters(options, operators), facetSelection(facets)]);
+
+    const total = result.rows.find(row => row.facet === 'total')?.count || 0;
+
+    const counts = Object.fromEntries(SEARCH_FACETS.map(facet => {
+      const toValue = facet === 'created_year' ? Number : String;
+      const selected = (facets?.[facet] || []).map(toValue);
+      const values = result.rows
+        .filter(row => row.facet === facet)
+        .map(row => ({ value: toValue(row.value), count: row.count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+      const shown = values.slice(0, valueLimit);
+      for (const value of selected) {
+        if (!shown.some(entry => entry.value === value)) {
+          shown.push(values.find(entry => entry.value === value) || { value, count: 0 });
+        }
+      }
+
+      return [facet, shown.map(entry => ({ ...entry, selected: selected.includes(entry.value) }))];
+    }));
+
+    return { total, facets: counts };
+  }
+
+  async createDocument(doc, client = this) {
     const {
       title,
       content,
       gtdContexts = [],
       gtdProject,
       gtdArea,
+      gtdStatus = 'active',
       sourceType = 'manual',
-      metadata = {}
+      metadata = {},
+      tickleAt = null
     } = doc;
 
-    const result = await this.query(`
+    const result = await client.query(`
       INSERT INTO documents 
-      (title, content, gtd_contexts, gtd_project, gtd_area, source_type, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      (title, content, gtd_contexts, gtd_project, gtd_area, gtd_status, source_type, metadata, tickle_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *
-    `, [title, content, gtdContexts, gtdProject, gtdArea, sourceType, metadata]);
+    `, [title, content, gtdContexts, gtdProject, gtdArea, gtdStatus, sourceType, metadata, tickleAt]);
 
     return result.rows[0];
   }
 
-  async updateDocument(id, updates) {
+  // expectedVersions (from If-Match) makes the update conditional: it only
+  // applies while the document is still at one of those versions
+  async updateDocument(id, updates, { expectedVersions = null } = {}) {
     const fields = [];
     const values = [];
     let paramCount = 1;
 
     Object.entries(updates).forEach(([key, value]) => {
       if (value !== undefined) {
-        fields.push(`${this.camelToSnake(key)} = $${paramCount}`);
+        fields.push(`${this.writableColumn(DOCUMENT_WRITABLE_COLUMNS, key)} = $${paramCount}`);
         values.push(value);
         paramCount++;
       }
@@ -147,10 +604,17 @@ class GTDDatabaseClient {
     if (fields.length === 0) return null;
 
     values.push(id);
+    let versionCondition = '';
+    if (expectedVersions) {
+      values.push(expectedVersions);
+      versionCondition = `AND version = ANY($${paramCount + 1}::int[])`;
+    }
+
     const query = `
       UPDATE documents 
-      SET ${fields.join(', ')}
+      SET ${fields.join(', ')}, updated_at = NOW()
       WHERE id = $${paramCount}
+      ${versionCondition}
       RETURNING *
     `;
 
@@ -158,26 +622,108 @@ class GTDDatabaseClient {
     return result.rows[0];
   }
 
-  async addAttachment(documentId, attachment) {
+  // Run callback in a transaction holding the advisory lock for a blob's
+  // storage_path. Writing a blob with its attachment row and removing an
+  // unreferenced blob both take it, so a purge either sees the new row or
+  // removes the blob before it is written again.
+  async withStoragePathLock(storagePath, callback) {
+    return this.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [storagePath]);
+      return callback(client);
+    });
+  }
+
+  // With writeBlob, the blob behind storagePath is written and the row
+  // inserted under the storage_path's lock
+  async addAttachment(documentId, attachment, { writeBlob = null } = {}) {
+    if (writeBlob && attachment.storagePath) {
+      return this.withStoragePathLock(attachment.storagePath, async (client) => {
+        await writeBlob();
+        return this.insertAttachment(client, documentId, attachment);
+      });
+    }
+    return this.insertAttachment(this, documentId, attachment);
+  }
+
+  async insertAttachment(client, documentId, attachment) {
     const {
       filename,
       fileType,
       fileSize,
       storagePath,
+      contentHash = null,
       extractedText,
+      extractionStatus = extractedText ? 'done' : 'pending',
       metadata = {}
     } = attachment;
 
-    const result = await this.query(`
+    const result = await client.query(`
       INSERT INTO attachments 
-      (document_id, filename, file_type, file_size, storage_path, extracted_text, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      (document_id, filename, file_type, file_size, storage_path, content_hash, extracted_text, extraction_status, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [documentId, filename, fileType, fileSize, storagePath, contentHash, extractedText || null, extractionStatus, metadata]);
+
+    return result.rows[0];
+  }
+
+  async getAttachmentsPendingExtraction(limit = 10) {
+    const result = await this.query(`
+      SELECT * FROM attachments
+      WHERE extraction_status = 'pending'
+      ORDER BY created_at, id
+      LIMIT $1
+    `, [limit]);
+    return result.rows;
+  }
+
+  // Record a text extraction outcome. text is only written on success.
+  async saveAttachmentExtraction(id, { status, text, error = null, attempts = 0 }) {
+    const result = await this.query(`
+      UPDATE attachments
+      SET 
+        extraction_status = $2::varchar,
+        extracted_text = CASE WHEN $2::varchar = 'done' THEN $3 ELSE extracted_text END,
+        extraction_error = $4,
+        extraction_attempts = $5,
+        extracted_at = NOW()
+      WHERE id = $1
       RETURNING *
-    `, [documentId, filename, fileType, fileSize, storagePath, extractedText, metadata]);
+    `, [id, status, text ?? null, error, attempts]);
+    return result.rows[0];
+  }
+
+  async getAttachment(id) {
+    const result = await this.query('SELECT * FROM attachments WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async getDocumentAttachments(documentId) {
+    const result = await this.query(
+      'SELECT * FROM attachments WHERE document_id = $1 ORDER BY created_at, id',
+      [documentId]
+    );
+    return result.rows;
+  }
 
+  async deleteAttachment(id) {
+    const result = await this.query('DELETE FROM attachments WHERE id = $1 RETURNING *', [id]);
     return result.rows[0];
   }
 
+  // Storage paths from the given list that no attachment row points at any more,
+  // i.e. blobs that are safe to remove from attachment storage
+  async findUnreferencedStoragePaths(storagePaths, client = this) {
+    if (!storagePaths || storagePaths.length === 0) return [];
+
+    const result = await client.query(`
+      SELECT DISTINCT path
+      FROM unnest($1::text[]) AS path
+      WHERE NOT EXISTS (SELECT 1 FROM attachments WHERE storage_path = path)
+    `, [storagePaths]);
+    return result.rows.map(row => row.path);
+  }
+
   async getDocumentById(id) {
     const result = await this.query(
       'SELECT * FROM documents WHERE id = $1',
@@ -188,86 +734,2199 @@ class GTDDatabaseClient {
 
   async getDocumentsByContext(context) {
     const result = await this.query(
-      'SELECT * FROM documents WHERE $1 = ANY(gtd_contexts) AND is_active = true ORDER BY created_at DESC',
+      `SELECT * FROM documents
+       WHERE $1 = ANY(gtd_contexts) AND is_active = true
+       AND (tickle_at IS NULL OR tickle_at <= NOW())
+       ORDER BY created_at DESC`,
       [context]
     );
     return result.rows;
   }
 
-  async getUnprocessedDocuments(limit = 10) {
-    const result = await this.query(
-      'SELECT * FROM documents WHERE processed_at IS NULL LIMIT $1',
-      [limit]
-    );
-    return result.rows;
+  async listDocuments(options = {}) {
+    const {
+      sort = 'created_at',
+      order = 'desc',
+      limit = 50,
+      cursor = null,
+      trashed = false,
+      ...filters
+    } = options;
+
+    const sortType = (trashed ? TRASH_SORT_FIELDS : DOCUMENT_SORT_FIELDS)[sort];
+    if (!sortType) {
+      throw new Error(`Unsupported sort field: ${sort}`);
+    }
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const values = [];
+    const conditions = [
+      trashed ? 'd.is_active = false' : 'd.is_active = true',
+      // The tickler only hides live documents
+      ...this.buildDocumentFilters(trashed ? { tickled: 'include', ...filters } : filters, values)
+    ];
+
+    // Keyset pagination: continue strictly after the last (sort value, id) seen
+    if (cursor) {
+      values.push(cursor.value, cursor.id);
+      const comparator = direction === 'ASC' ? '>' : '<';
+      conditions.push(
+        `(d.${sort}, d.id) ${comparator} ($${values.length - 1}::${sortType}, $${values.length}::int)`
+      );
+    }
+
+    values.push(limit + 1);
+    const result = await this.query(`
+      SELECT ${DOCUMENT_LIST_COLUMNS}, d.${sort}::text as sort_key
+      FROM documents d
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY d.${sort} ${direction}, d.id ${direction}
+      LIMIT $${values.length}
+    `, values);
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      documents: rows.map(({ sort_key, ...doc }) => doc),
+      nextCursor: hasMore
+        ? this.encodeCursor({ sort, order: direction.toLowerCase(), value: last.sort_key, id: last.id })
+        : null,
+      hasMore
+    };
   }
 
-  async markDocumentProcessed(id) {
+  // Translate listing filters into SQL conditions on alias d, appending
+  // their parameters to values. tickled is 'exclude' (default), 'include'
+  // or 'only' for documents waiting in the tickler.
+  buildDocumentFilters(filters, values) {
+    const {
+      tickled = 'exclude',
+      query,
+      status,
+      project,
+      area,
+      sourceType,
+      contexts,
+      createdAfter,
+      createdBefore,
+      updatedAfter,
+      updatedBefore
+    } = filters;
+
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replaceAll('?', `$${values.length}`));
+    };
+
+    if (tickled === 'exclude') conditions.push('(d.tickle_at IS NULL OR d.tickle_at <= NOW())');
+    if (tickled === 'only') conditions.push('d.tickle_at > NOW()');
+    if (query) addCondition("d.content_vector @@ websearch_to_tsquery('english', ?)", query);
+    if (status) addCondition('d.gtd_status = ?', status);
+    if (project) addCondition('d.gtd_project = ?', project);
+    if (area) addCondition('d.gtd_area = ?', area);
+    if (sourceType) addCondition('d.source_type = ?', sourceType);
+    if (contexts && contexts.length > 0) addCondition('d.gtd_contexts && ?::text[]', contexts);
+    if (createdAfter) addCondition('d.created_at >= ?', createdAfter);
+    if (createdBefore) addCondition('d.created_at < ?', createdBefore);
+    if (updatedAfter) addCondition('d.updated_at >= ?', updatedAfter);
+    if (updatedBefore) addCondition('d.updated_at < ?', updatedBefore);
+
+    return conditions;
+  }
+
+  async findDocumentIds(filters, limit) {
+    const values = [];
+    const conditions = ['d.is_active = true', ...this.buildDocumentFilters(filters, values)];
+    values.push(limit);
+
+    const result = await this.query(`
+      SELECT d.id FROM documents d
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY d.id
+      LIMIT $${values.length}
+    `, values);
+    return result.rows.map(row => row.id);
+  }
+
+  // Apply one bulk operation to each document in a single transaction.
+  // Every item runs under its own savepoint so a failure is reported per item;
+  // with allOrNothing any failure rolls the whole batch back.
+  async bulkUpdateDocuments(ids, operation, { allOrNothing = false } = {}) {
+    const { sql, params } = this.bulkOperationSql(operation);
+    const results = [];
+    let rolledBack = false;
+
+    try {
+      await this.withChangeSource('bulk', async (client) => {
+        for (const id of ids) {
+          await client.query('SAVEPOINT bulk_item');
+          try {
+            const result = await client.query(sql, [id, ...params]);
+            await client.query('RELEASE SAVEPOINT bulk_item');
+            results.push(result.rows.length > 0
+              ? { id, status: 'updated' }
+              : { id, status: 'not_found' });
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT bulk_item');
+            results.push({ id, status: 'failed', error: error.message });
+          }
+        }
+
+        if (allOrNothing && results.some(result => result.status !== 'updated')) {
+          throw BULK_ROLLBACK;
+        }
+      });
+    } catch (error) {
+      if (error !== BULK_ROLLBACK) throw error;
+      rolledBack = true;
+      results.forEach(result => {
+        if (result.status === 'updated') result.status = 'rolled_back';
+      });
+    }
+
+    return { results, rolledBack };
+  }
+
+  bulkOperationSql({ type, contexts, value }) {
+    const where = 'WHERE id = $1 AND is_active = true RETURNING id';
+
+    switch (type) {
+      case 'add_contexts':
+        return {
+          sql: `UPDATE documents SET gtd_contexts = COALESCE(gtd_contexts, '{}') || ARRAY(
+                  SELECT c FROM unnest($2::text[]) c
+                  WHERE c <> ALL(COALESCE(gtd_contexts, '{}'))
+                ) ${where}`,
+          params: [contexts]
+        };
+      case 'remove_contexts':
+        return {
+          sql: `UPDATE documents SET gtd_contexts = ARRAY(
+                  SELECT c FROM unnest(COALESCE(gtd_contexts, '{}')) c
+                  WHERE c <> ALL($2::text[])
+                ) ${where}`,
+          params: [contexts]
+        };
+      case 'set_project':
+        return { sql: `UPDATE documents SET gtd_project = $2 ${where}`, params: [value] };
+      case 'set_area':
+        return { sql: `UPDATE documents SET gtd_area = $2 ${where}`, params: [value] };
+      case 'set_status':
+        return { sql: `UPDATE documents SET gtd_status = $2 ${where}`, params: [value] };
+      case 'archive':
+        return { sql: `UPDATE documents SET gtd_status = 'archived' ${where}`, params: [] };
+      case 'delete':
+        return { sql: `UPDATE documents SET is_active = false, deleted_at = NOW() ${where}`, params: [] };
+      default:
+        throw new Error(`Unknown bulk operation: ${type}`);
+    }
+  }
+
+  // Cursors are opaque to clients: base64url-encoded JSON of the last row's sort key
+  encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  decodeCursor(token) {
+    try {
+      const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+      if (!cursor || !TRASH_SORT_FIELDS[cursor.sort] || !Number.isInteger(cursor.id) ||
+          typeof cursor.value !== 'string') {
+        return null;
+      }
+      return cursor;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async trashDocument(id, { expectedVersions = null } = {}) {
+    const result = await this.query(`
+      UPDATE documents SET is_active = false, deleted_at = NOW()
+      WHERE id = $1 AND is_active = true
+      AND ($2::int[] IS NULL OR version = ANY($2::int[]))
+      RETURNING *
+    `, [id, expectedVersions]);
+    return result.rows[0];
+  }
+
+  async restoreDocument(id) {
     const result = await this.query(
-      'UPDATE documents SET processed_at = NOW() WHERE id = $1 RETURNING *',
+      'UPDATE documents SET is_active = true, deleted_at = NULL WHERE id = $1 AND is_active = false RETURNING *',
       [id]
     );
     return result.rows[0];
   }
 
-  async addToEmbeddingQueue(documentId, priority = 5) {
+  // Permanently delete a trashed document. Attachments, links, revisions and
+  // queue entries go with it through their ON DELETE CASCADE foreign keys.
+  // storagePaths lists the removed attachments' blobs for the caller to release.
+  async deleteDocumentPermanently(id) {
+    return this.transaction(async (client) => {
+      const doc = await client.query(
+        'SELECT id, is_active FROM documents WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (doc.rows.length === 0) return null;
+      if (doc.rows[0].is_active) {
+        return { id: doc.rows[0].id, deleted: false };
+      }
+
+      const counts = await client.query(`
+        SELECT 
+          (SELECT COUNT(*) FROM attachments WHERE document_id = $1) as attachments,
+          (SELECT COUNT(*) FROM document_links 
+           WHERE source_document_id = $1 OR target_document_id = $1) as links
+      `, [id]);
+
+      const attachments = await client.query(
+        'SELECT DISTINCT storage_path FROM attachments WHERE document_id = $1',
+        [id]
+      );
+
+      await client.query('DELETE FROM documents WHERE id = $1', [id]);
+
+      return {
+        id: doc.rows[0].id,
+        deleted: true,
+        attachments_removed: parseInt(counts.rows[0].attachments),
+        links_removed: parseInt(counts.rows[0].links),
+        storagePaths: attachments.rows.map(row => row.storage_path)
+      };
+    });
+  }
+
+  // Returns the purged document ids and their attachments' storage paths
+  async purgeTrash(retentionDays) {
+    return this.transaction(async (client) => {
+      const expired = await client.query(`
+        SELECT id FROM documents
+        WHERE is_active = false
+        AND deleted_at < NOW() - make_interval(days => $1)
+        FOR UPDATE
+      `, [retentionDays]);
+
+      const documentIds = expired.rows.map(row => row.id);
+      if (documentIds.length === 0) {
+        return { documentIds, storagePaths: [] };
+      }
+
+      const attachments = await client.query(
+        'SELECT DISTINCT storage_path FROM attachments WHERE document_id = ANY($1::int[])',
+        [documentIds]
+      );
+
+      await client.query('DELETE FROM documents WHERE id = ANY($1::int[])', [documentIds]);
+
+      return { documentIds, storagePaths: attachments.rows.map(row => row.storage_path) };
+    });
+  }
+
+  // Move documents whose tickler date has arrived back into @inbox as active
+  // items. Returns the promoted { id, title } rows.
+  async promoteDueTicklers() {
+    return this.withChangeSource('tickler', async (client) => {
+      const result = await client.query(`
+        UPDATE documents
+        SET 
+          tickle_at = NULL,
+          gtd_status = 'active',
+          gtd_contexts = CASE
+            WHEN '@inbox' = ANY(COALESCE(gtd_contexts, '{}')) THEN gtd_contexts
+            ELSE COALESCE(gtd_contexts, '{}') || '{@inbox}'::text[]
+          END
+        WHERE is_active = true AND tickle_at <= NOW()
+        RETURNING id, title
+      `);
+      return result.rows;
+    });
+  }
+
+  // Inbox items, oldest capture first
+  async listInbox({ limit = 50, offset = 0 } = {}) {
+    const result = await this.query(`
+      SELECT ${DOCUMENT_LIST_COLUMNS}
+      FROM documents d
+      WHERE ${INBOX_DOCUMENT}
+      ORDER BY d.created_at ASC, d.id ASC
+      LIMIT $1 OFFSET $2
+    `, [limit + 1, offset]);
+
+    return {
+      documents: result.rows.slice(0, limit),
+      hasMore: result.rows.length > limit
+    };
+  }
+
+  // Inbox-zero progress for the current UTC day: items left, items clarified
+  // today and the share of today's workload that is done
+  async getInboxProgress() {
+    const result = await this.query(`
+      SELECT 
+        (SELECT COUNT(*) FROM documents d WHERE ${INBOX_DOCUMENT})::int as remaining,
+        (SELECT MIN(d.created_at) FROM documents d WHERE ${INBOX_DOCUMENT}) as oldest_captured_at,
+        (SELECT COUNT(*) FROM clarifications
+         WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC')::int as clarified_today
+    `);
+
+    const { remaining, oldest_captured_at, clarified_today } = result.rows[0];
+    const workload = remaining + clarified_today;
+
+    return {
+      remaining,
+      clarified_today,
+      percent_complete: workload === 0 ? 100 : Math.round((clarified_today / workload) * 100),
+      inbox_zero: remaining === 0,
+      oldest_captured_at
+    };
+  }
+
+  // Apply a clarify decision to an inbox document in one transaction: the
+  // document leaves @inbox, the action or project the decision produces is
+  // created and the decision is logged. Returns null when the document is not
+  // (or no longer) in the inbox.
+  async clarifyInboxItem(documentId, decision, options = {}) {
+    return this.withChangeSource('clarify', async (client) => {
+      const found = await client.query(
+        `SELECT d.* FROM documents d WHERE d.id = $1 AND ${INBOX_DOCUMENT} FOR UPDATE`,
+        [documentId]
+      );
+      if (found.rows.length === 0) return null;
+
+      const document = found.rows[0];
+      const values = [documentId];
+      const assignments = ["gtd_contexts = array_remove(gtd_contexts, '@inbox')"];
+      const assign = (sql, value) => {
+        values.push(value);
+        assignments.push(sql.replaceAll('?', `$${values.length}`));
+      };
+
+      const { nextAction, desiredOutcome, folder, tickleAt, ...actionOptions } = options;
+      let action = null;
+      let projectId = null;
+
+      switch (decision) {
+        case 'trash':
+          assignments.push('is_active = false', 'deleted_at = NOW()');
+          break;
+        case 'reference':
+          assignments.push("gtd_status = 'reference'");
+          if (options.area !== undefined) assign('gtd_area = ?', options.area);
+          if (options.projectId) assign('project_id = ?', options.projectId);
+          else if (options.project !== undefined) assign('gtd_project = ?', options.project);
+          if (folder !== undefined) {
+            assign("metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('folder', ?::text)", folder);
+          }
+          break;
+        case 'incubate':
+          assignments.push("gtd_status = 'someday'");
+          if (tickleAt) assign('tickle_at = ?', tickleAt);
+          break;
+        case 'do_it':
+          assignments.push("gtd_status = 'completed'");
+          break;
+        case 'delegate':
+        case 'defer':
+          assignments.push("gtd_status = 'active'");
+          action = await this.insertAction(client, {
+            ...actionOptions,
+            title: actionOptions.title || document.title,
+            documentId,
+            delegatedAt: decision === 'delegate' ? new Date() : undefined
+          });
+          break;
+        case 'project': {
+          const name = options.title || document.title;
+          const created = await client.query(`
+            INSERT INTO projects (name, desired_outcome, area)
+            VALUES (trim($1), $2, $3)
+            ON CONFLICT DO NOTHING
+            RETURNING id
+          `, [name, desiredOutcome || null, options.area || null]);
+          projectId = created.rows.length > 0
+            ? created.rows[0].id
+            : (await client.query('SELECT project_id_for_name($1) as id', [name])).rows[0].id;
+
+          assignments.push("gtd_status = 'active'");
+          assign('project_id = ?', projectId);
+          if (nextAction) {
+            action = await this.insertAction(client, { ...nextAction, documentId, projectId });
+          }
+          break;
+        }
+        default:
+          throw new Error(`Unknown clarify decision: ${decision}`);
+      }
+
+      const updated = await client.query(`
+        UPDATE documents SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+        WHERE id = $1
+        RETURNING *
+      `, values);
+
+      const clarification = await client.query(`
+        INSERT INTO clarifications (document_id, decision, details, action_id, project_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [documentId, decision, options, action ? action.id : null, projectId || action?.project_id || null]);
+
+      const project = projectId
+        ? (await client.query(`SELECT ${PROJECT_COLUMNS} FROM projects p WHERE p.id = $1`, [projectId])).rows[0]
+        : null;
+
+      return {
+        clarification: clarification.rows[0],
+        document: updated.rows[0],
+        action,
+        project
+      };
+    });
+  }
+
+  async getDocumentClarifications(documentId) {
     const result = await this.query(
-      'INSERT INTO embedding_queue (document_id, priority) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING *',
-      [documentId, priority]
+      'SELECT * FROM clarifications WHERE document_id = $1 ORDER BY created_at DESC, id DESC',
+      [documentId]
     );
-    return result.rows[0];
+    return result.rows;
   }
 
-  async getEmbeddingQueueItems(limit = 10) {
-    const result = await this.query(`
-      SELECT eq.*, d.title, d.content 
-      FROM embedding_queue eq
-      JOIN documents d ON eq.document_id = d.id
-      WHERE eq.processed_at IS NULL
-      ORDER BY eq.priority DESC, eq.created_at ASC
+  // Someday/maybe items due for reconsideration: the documents and projects
+  // left untouched longest come first
+  async getSomedayItems(limit = 10) {
+    const documents = await this.query(`
+      SELECT ${DOCUMENT_LIST_COLUMNS}, COUNT(*) OVER()::int as total
+      FROM documents d
+      WHERE d.is_active = true AND d.gtd_status = 'someday'
+      AND (d.tickle_at IS NULL OR d.tickle_at <= NOW())
+      ORDER BY d.updated_at ASC, d.id ASC
       LIMIT $1
     `, [limit]);
+
+    const projects = await this.query(`
+      SELECT p.id, p.name, p.desired_outcome, p.area, p.updated_at
+      FROM projects p
+      WHERE p.status = 'someday'
+      ORDER BY p.updated_at ASC, p.id ASC
+    `);
+
+    return {
+      documentTotal: documents.rows[0]?.total || 0,
+      documents: documents.rows.map(({ total, ...doc }) => doc),
+      projects: projects.rows
+    };
+  }
+
+  // The 43-folder view: tickled documents for each day of a month (month is
+  // its first day, 'YYYY-MM-01') plus counts for the twelve months after it,
+  // with dates taken in the given time zone
+  async getTicklerFolders(month, timezone) {
+    const days = await this.query(`
+      SELECT 
+        to_char((d.tickle_at AT TIME ZONE $2)::date, 'YYYY-MM-DD') as day,
+        json_agg(json_build_object(
+          'id', d.id,
+          'title', d.title,
+          'gtd_status', d.gtd_status,
+          'gtd_contexts', d.gtd_contexts,
+          'tickle_at', d.tickle_at
+        ) ORDER BY d.tickle_at, d.id) as documents
+      FROM documents d
+      WHERE d.is_active = true
+      AND d.tickle_at IS NOT NULL
+      AND (d.tickle_at AT TIME ZONE $2)::date >= $1::date
+      AND (d.tickle_at AT TIME ZONE $2)::date < $1::date + INTERVAL '1 month'
+      GROUP BY 1
+    `, [month, timezone]);
+
+    const months = await this.query(`
+      SELECT 
+        to_char(date_trunc('month', d.tickle_at AT TIME ZONE $2), 'YYYY-MM') as month,
+        COUNT(*)::int as count
+      FROM documents d
+      WHERE d.is_active = true
+      AND d.tickle_at IS NOT NULL
+      AND (d.tickle_at AT TIME ZONE $2)::date >= $1::date + INTERVAL '1 month'
+      AND (d.tickle_at AT TIME ZONE $2)::date < $1::date + INTERVAL '13 months'
+      GROUP BY 1
+    `, [month, timezone]);
+
+    return {
+      days: new Map(days.rows.map(row => [row.day, row.documents])),
+      months: new Map(months.rows.map(row => [row.month, row.count]))
+    };
+  }
+
+  async getDocumentRevisions(documentId) {
+    const result = await this.query(`
+      SELECT id, document_id, revision_number, title, changed_fields, change_source, created_at
+      FROM document_revisions
+      WHERE document_id = $1
+      ORDER BY revision_number DESC
+    `, [documentId]);
     return result.rows;
   }
 
-  async updateEmbedding(documentId, embedding) {
+  async getDocumentRevision(documentId, revisionNumber) {
     const result = await this.query(
-      'UPDATE documents SET embedding = $2, needs_embedding = false WHERE id = $1 RETURNING *',
-      [documentId, embedding]
+      'SELECT * FROM document_revisions WHERE document_id = $1 AND revision_number = $2',
+      [documentId, revisionNumber]
     );
     return result.rows[0];
   }
 
-  async recordSearch(query, filters, resultCount) {
-    await this.query(
-      'INSERT INTO search_history (query, filters, result_count) VALUES ($1, $2, $3)',
-      [query, filters, resultCount]
+  async getLatestDocumentRevision(documentId) {
+    const result = await this.query(
+      'SELECT * FROM document_revisions WHERE document_id = $1 ORDER BY revision_number DESC LIMIT 1',
+      [documentId]
     );
+    return result.rows[0];
   }
 
-  async getMigrationProgress(migrationId) {
-    const result = await this.query(
-      'SELECT * FROM migration_progress WHERE migration_id = $1',
-      [migrationId]
-    );
+  async restoreDocumentRevision(documentId, revisionNumber) {
+    return this.withChangeSource('restore', async (client) => {
+      const result = await client.query(`
+        UPDATE documents d
+        SET 
+          title = r.title,
+          content = r.content,
+          gtd_contexts = r.gtd_contexts,
+          gtd_project = r.gtd_project,
+          gtd_area = r.gtd_area,
+          gtd_status = CASE WHEN r.gtd_status = ANY($3) THEN r.gtd_status ELSE d.gtd_status END,
+          metadata = r.metadata,
+          needs_embedding = true
+        FROM document_revisions r
+        WHERE d.id = $1
+        AND r.document_id = d.id
+        AND r.revision_number = $2
+        RETURNING d.*
+      `, [documentId, revisionNumber, DOCUMENT_STATUSES]);
+      return result.rows[0];
+    });
+  }
+
+  // Status changes, oldest first
+  async getDocumentStatusHistory(documentId) {
+    const result = await this.query(`
+      SELECT from_status, to_status, change_source, changed_at
+      FROM document_status_history
+      WHERE document_id = $1
+      ORDER BY changed_at ASC, id ASC
+    `, [documentId]);
+    return result.rows;
+  }
+
+  // Every status with the statuses it may move to
+  async getDocumentStatusTransitions() {
+    const result = await this.query('SELECT from_status, to_status FROM document_status_transitions');
+    return DOCUMENT_STATUSES.map(status => ({
+      status,
+      transitions: result.rows
+        .filter(row => row.from_status === status)
+        .map(row => row.to_status)
+        .sort((a, b) => DOCUMENT_STATUSES.indexOf(a) - DOCUMENT_STATUSES.indexOf(b))
+    }));
+  }
+
+  async getDocumentLinks(documentId) {
+    const [outgoing, incoming, unresolved] = await Promise.all([
+      this.query(`
+        SELECT dl.*, d.title as target_title
+        FROM document_links dl
+        JOIN documents d ON d.id = dl.target_document_id
+        WHERE dl.source_document_id = $1
+        ORDER BY dl.created_at
+      `, [documentId]),
+      this.query(`
+        SELECT dl.*, d.title as source_title
+        FROM document_links dl
+        JOIN documents d ON d.id = dl.source_document_id
+        WHERE dl.target_document_id = $1
+        ORDER BY dl.created_at
+      `, [documentId]),
+      this.query(
+        'SELECT * FROM unresolved_links WHERE source_document_id = $1 ORDER BY created_at',
+        [documentId]
+      )
+    ]);
+
+    return {
+      outgoing: outgoing.rows,
+      incoming: incoming.rows,
+      unresolved: unresolved.rows
+    };
+  }
+
+  async getLinkById(id) {
+    const result = await this.query('SELECT * FROM document_links WHERE id = $1', [id]);
     return result.rows[0];
   }
 
-  async updateMigrationProgress(migrationId, updates) {
+  // Returns null when the two documents are already linked
+  async createLink(sourceId, link) {
+    const { targetId, linkType = 'reference', linkText, linkContext } = link;
+
+    const result = await this.query(`
+      INSERT INTO document_links 
+      (source_document_id, target_document_id, link_type, link_text, link_context, origin)
+      VALUES ($1, $2, $3, $4, $5, 'manual')
+      ON CONFLICT (source_document_id, target_document_id) DO NOTHING
+      RETURNING *
+    `, [sourceId, targetId, linkType, linkText, linkContext]);
+
+    return result.rows[0] || null;
+  }
+
+  async updateLink(id, updates) {
     const fields = [];
     const values = [];
-    let paramCount = 1;
 
     Object.entries(updates).forEach(([key, value]) => {
       if (value !== undefined) {
-        fields.push(`${this.camelToSnake(key)} = $${paramCount}`);
         values.push(value);
-        paramCount++;
+        fields.push(`${this.writableColumn(LINK_WRITABLE_COLUMNS, key)} = $${values.length}`);
       }
     });
 
-    values.push(migrationId);
-    const query = `
+    if (fields.length === 0) return null;
+
+    values.push(id);
+    const result = await this.query(`
+      UPDATE document_links SET ${fields.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING *
+    `, values);
+    return result.rows[0];
+  }
+
+  async deleteLink(id) {
+    const result = await this.query('DELETE FROM document_links WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  // Breadth-first walk of document_links out to depth hops from the root.
+  // direction limits which way links are followed; linkTypes filters edges.
+  async getDocumentGraph(documentId, options = {}) {
+    const {
+      depth = 1,
+      direction = 'both',
+      linkTypes = null,
+      maxNodes = 200
+    } = options;
+
+    const followOutgoing = direction !== 'incoming';
+    const followIncoming = direction !== 'outgoing';
+
+    const nodes = await this.query(`
+      WITH RECURSIVE walk(id, depth) AS (
+        SELECT $1::int, 0
+        UNION
+        SELECT 
+          CASE WHEN dl.source_document_id = w.id 
+            THEN dl.target_document_id 
+            ELSE dl.source_document_id 
+          END,
+          w.depth + 1
+        FROM walk w
+        JOIN document_links dl ON 
+          ($3 AND dl.source_document_id = w.id) OR
+          ($4 AND dl.target_document_id = w.id)
+        JOIN documents d ON d.id = CASE WHEN dl.source_document_id = w.id 
+            THEN dl.target_document_id 
+            ELSE dl.source_document_id 
+          END
+        WHERE w.depth < $2
+        AND d.is_active = true
+        AND ($5::text[] IS NULL OR dl.link_type = ANY($5::text[]))
+      )
+      SELECT d.id, d.title, d.gtd_status, d.gtd_project, d.gtd_area, d.gtd_contexts, MIN(w.depth) as depth
+      FROM walk w
+      JOIN documents d ON d.id = w.id
+      GROUP BY d.id
+      ORDER BY depth, d.id
+      LIMIT $6
+    `, [documentId, depth, followOutgoing, followIncoming, linkTypes, maxNodes]);
+
+    const nodeIds = nodes.rows.map(node => node.id);
+
+    const edges = await this.query(`
+      SELECT id, source_document_id as source, target_document_id as target,
+             link_type, link_text, origin
+      FROM document_links
+      WHERE source_document_id = ANY($1::int[])
+      AND target_document_id = ANY($1::int[])
+      AND ($2::text[] IS NULL OR link_type = ANY($2::text[]))
+      ORDER BY id
+    `, [nodeIds, linkTypes]);
+
+    return {
+      nodes: nodes.rows,
+      edges: edges.rows,
+      truncated: nodes.rows.length >= maxNodes
+    };
+  }
+
+  async getBacklinks(documentId, { linkTypes = null } = {}) {
+    const result = await this.query(`
+      SELECT 
+        dl.id as link_id,
+        dl.source_document_id,
+        d.title as source_title,
+        d.gtd_status as source_status,
+        dl.link_type,
+        dl.link_text,
+        dl.link_context,
+        dl.origin,
+        dl.created_at
+      FROM document_links dl
+      JOIN documents d ON d.id = dl.source_document_id
+      WHERE dl.target_document_id = $1
+      AND d.is_active = true
+      AND ($2::text[] IS NULL OR dl.link_type = ANY($2::text[]))
+      ORDER BY d.updated_at DESC
+    `, [documentId, linkTypes]);
+    return result.rows;
+  }
+
+  // Re-derive a document's wiki links from its content, then attach any
+  // pending links elsewhere that were waiting for this document. Pass a
+  // client to run inside the caller's transaction instead of a new one
+  async refreshDocumentLinks(documentId, client = null) {
+    const synced = await this.syncWikiLinks(documentId, client);
+    const resolved = await this.resolvePendingLinks(documentId, client);
+    return { ...synced, resolved_incoming: resolved };
+  }
+
+  async syncWikiLinks(documentId, client = null) {
+    if (!client) return this.transaction(tx => this.syncWikiLinks(documentId, tx));
+
+    const doc = await client.query('SELECT id, content FROM documents WHERE id = $1', [documentId]);
+    if (doc.rows.length === 0) return { linked: 0, unresolved: 0 };
+
+    const links = extractWikiLinks(doc.rows[0].content);
+
+    const titles = links.filter(link => link.title).map(link => link.ref);
+    const ids = links.filter(link => link.targetId).map(link => link.targetId);
+
+    // Title matches are case-insensitive; the most recently updated document wins
+    const [byTitle, byId] = await Promise.all([
+      client.query(`
+        SELECT DISTINCT ON (lower(title)) id, lower(title) as ref
+        FROM documents
+        WHERE lower(title) = ANY($1::text[]) AND is_active = true
+        ORDER BY lower(title), updated_at DESC
+      `, [titles]),
+      client.query(
+        'SELECT id FROM documents WHERE id = ANY($1::int[]) AND is_active = true',
+        [ids]
+      )
+    ]);
+
+    const titleTargets = new Map(byTitle.rows.map(row => [row.ref, row.id]));
+    const existingIds = new Set(byId.rows.map(row => row.id));
+
+    const resolved = [];
+    const unresolved = [];
+    for (const link of links) {
+      const targetId = link.targetId
+        ? (existingIds.has(link.targetId) ? link.targetId : null)
+        : titleTargets.get(link.ref) || null;
+
+      if (targetId === documentId) continue;
+      (targetId ? resolved : unresolved).push({ ...link, targetId });
+    }
+
+    await client.query(`
+      DELETE FROM document_links
+      WHERE source_document_id = $1
+      AND origin = 'wiki'
+      AND NOT (target_document_id = ANY($2::int[]))
+    `, [documentId, resolved.map(link => link.targetId)]);
+
+    // Manual links to the same target keep their own text and type
+    for (const link of resolved) {
+      await client.query(`
+        INSERT INTO document_links 
+        (source_document_id, target_document_id, link_type, link_text, link_context, origin)
+        VALUES ($1, $2, 'reference', $3, $4, 'wiki')
+        ON CONFLICT (source_document_id, target_document_id) DO UPDATE
+        SET link_text = EXCLUDED.link_text, link_context = EXCLUDED.link_context
+        WHERE document_links.origin = 'wiki'
+      `, [documentId, link.targetId, link.text, link.context]);
+    }
+
+    await client.query('DELETE FROM unresolved_links WHERE source_document_id = $1', [documentId]);
+
+    for (const link of unresolved) {
+      await client.query(`
+        INSERT INTO unresolved_links (source_document_id, target_ref, link_text, link_context)
+        VALUES ($1, $2, $3, $4)
+      `, [documentId, link.ref, link.text, link.context]);
+    }
+
+    return { linked: resolved.length, unresolved: unresolved.length };
+  }
+
+  async resolvePendingLinks(documentId, client = null) {
+    if (!client) return this.transaction(tx => this.resolvePendingLinks(documentId, tx));
+
+    const doc = await client.query(
+      'SELECT id, title FROM documents WHERE id = $1 AND is_active = true',
+      [documentId]
+    );
+    if (doc.rows.length === 0) return 0;
+
+    const refs = [doc.rows[0].title.toLowerCase(), `#${documentId}`];
+
+    const pending = await client.query(`
+      DELETE FROM unresolved_links
+      WHERE target_ref = ANY($1::text[])
+      AND source_document_id <> $2
+      RETURNING source_document_id, link_text, link_context
+    `, [refs, documentId]);
+
+    for (const link of pending.rows) {
+      await client.query(`
+        INSERT INTO document_links 
+        (source_document_id, target_document_id, link_type, link_text, link_context, origin)
+        VALUES ($1, $2, 'reference', $3, $4, 'wiki')
+        ON CONFLICT (source_document_id, target_document_id) DO NOTHING
+      `, [link.source_document_id, documentId, link.link_text, link.link_context]);
+    }
+
+    return pending.rows.length;
+  }
+
+  async createAction(action) {
+    return this.transaction(client => this.insertAction(client, action));
+  }
+
+  // recurrence, when given, starts a series anchored at the action's due date
+  async insertAction(client, action) {
+    const { blockedBy, recurrence, ...fields } = action;
+    const columns = [];
+    const values = [];
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) {
+        columns.push(this.writableColumn(ACTION_WRITABLE_COLUMNS, key));
+        values.push(value);
+      }
+    });
+
+    const result = await client.query(`
+      INSERT INTO actions (${columns.join(', ')})
+      VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+      RETURNING id
+    `, values);
+
+    const id = result.rows[0].id;
+    if (blockedBy) {
+      await this.replaceActionDependencies(client, id, blockedBy);
+    }
+    if (recurrence) {
+      await this.saveActionSeries(client, id, recurrence);
+    }
+    return this.getAction(id, client);
+  }
+
+  // client lets callers read their own uncommitted writes
+  async getAction(id, client = this) {
+    const result = await client.query(`SELECT ${ACTION_COLUMNS} FROM actions a WHERE a.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // blockedBy, when given, replaces the action's dependencies; recurrence
+  // changes its series' schedule, or takes it out of the series when null.
+  // Completing an instance of a series schedules the next one.
+  async updateAction(id, updates) {
+    const { blockedBy, recurrence, ...fields } = updates;
+    const assignments = [];
+    const values = [];
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) {
+        values.push(value);
+        assignments.push(`${this.writableColumn(ACTION_WRITABLE_COLUMNS, key)} = $${values.length}`);
+      }
+    });
+
+    if (assignments.length === 0 && blockedBy === undefined && recurrence === undefined) return null;
+
+    return this.transaction(async (client) => {
+      const before = await client.query('SELECT completed_at FROM actions WHERE id = $1 FOR UPDATE', [id]);
+      if (before.rows.length === 0) return undefined;
+
+      values.push(id);
+      await client.query(`
+        UPDATE actions SET ${[...assignments, 'updated_at = NOW()'].join(', ')}
+        WHERE id = $${values.length}
+      `, values);
+
+      if (blockedBy !== undefined) {
+        await this.replaceActionDependencies(client, id, blockedBy || []);
+      }
+      if (recurrence !== undefined) {
+        await this.saveActionSeries(client, id, recurrence);
+      }
+      if (fields.completedAt && !before.rows[0].completed_at) {
+        await this.scheduleNextInstance(client, id);
+      }
+      return this.getAction(id, client);
+    });
+  }
+
+  // Start or change the series an action recurs in. Fields left out keep their
+  // current value; a new rule is anchored at the action's current due date.
+  async saveActionSeries(client, actionId, recurrence) {
+    if (recurrence === null) {
+      await client.query('UPDATE actions SET series_id = NULL WHERE id = $1', [actionId]);
+      return;
+    }
+
+    const { rule, mode, timezone, exceptions } = recurrence;
+    const values = [actionId, rule ? parseRule(rule) : null, mode || null, timezone || null, exceptions || null];
+
+    const updated = await client.query(`
+      UPDATE action_series s SET
+        rule = COALESCE($2, s.rule),
+        mode = COALESCE($3, s.mode),
+        timezone = COALESCE($4, s.timezone),
+        exceptions = COALESCE($5::date[], s.exceptions),
+        dtstart = CASE WHEN $2 IS DISTINCT FROM s.rule AND $2 IS NOT NULL THEN a.due_at ELSE s.dtstart END
+      FROM actions a
+      WHERE a.id = $1 AND s.id = a.series_id
+      RETURNING s.id
+    `, values);
+    if (updated.rows.length > 0) return;
+
+    await client.query(`
+      WITH series AS (
+        INSERT INTO action_series (rule, mode, timezone, exceptions, dtstart)
+        SELECT $2, COALESCE($3, 'due'), COALESCE($4, 'UTC'), COALESCE($5::date[], '{}'), a.due_at
+        FROM actions a WHERE a.id = $1
+        RETURNING id
+      )
+      UPDATE actions SET series_id = (SELECT id FROM series) WHERE id = $1
+    `, values);
+  }
+
+  // Exceptions come back as YYYY-MM-DD strings, the form recurrence.js compares.
+  // instance_count covers the instances since the rule was last set.
+  async getActionSeries(id, client = this) {
+    const result = await client.query(`
+      SELECT 
+        s.id, s.rule, s.mode, s.timezone, s.dtstart, s.exceptions::text[] as exceptions,
+        (SELECT COUNT(*) FROM actions a
+         WHERE a.series_id = s.id AND a.due_at >= s.dtstart)::int as instance_count
+      FROM action_series s
+      WHERE s.id = $1
+    `, [id]);
+    return result.rows[0];
+  }
+
+  // The series' open instance other than excludeId, if there is one
+  async getOpenSeriesInstance(seriesId, excludeId = null) {
+    const result = await this.query(`
+      SELECT ${ACTION_COLUMNS} FROM actions a
+      WHERE a.series_id = $1 AND a.completed_at IS NULL AND a.id IS DISTINCT FROM $2
+      ORDER BY a.due_at ASC NULLS LAST, a.id ASC
+      LIMIT 1
+    `, [seriesId, excludeId]);
+    return result.rows[0] || null;
+  }
+
+  // Create the instance after a completed action, unless its series already
+  // has an open one (e.g. the action was reopened and completed again) or has
+  // ended. A defer date keeps its distance from the due date.
+  async scheduleNextInstance(client, actionId) {
+    const action = (await client.query(
+      'SELECT series_id, due_at, defer_until, completed_at FROM actions WHERE id = $1',
+      [actionId]
+    )).rows[0];
+    if (!action.series_id) return null;
+
+    // Serialises concurrent completions within the series
+    await client.query('SELECT id FROM action_series WHERE id = $1 FOR UPDATE', [action.series_id]);
+
+    const open = await client.query(
+      'SELECT 1 FROM actions WHERE series_id = $1 AND completed_at IS NULL LIMIT 1',
+      [action.series_id]
+    );
+    if (open.rows.length > 0) return null;
+
+    const series = await this.getActionSeries(action.series_id, client);
+    const dueAt = nextDueDate(series, {
+      dueAt: action.due_at,
+      completedAt: action.completed_at,
+      instanceCount: series.instance_count
+    });
+    if (!dueAt) return null;
+
+    const deferUntil = action.defer_until && action.due_at
+      ? new Date(dueAt.getTime() - (action.due_at.getTime() - action.defer_until.getTime()))
+      : null;
+
+    const result = await client.query(`
+      INSERT INTO actions (${ACTION_SERIES_COPIED_COLUMNS.join(', ')}, series_id, due_at, defer_until)
+      SELECT ${ACTION_SERIES_COPIED_COLUMNS.join(', ')}, series_id, $2, $3
+      FROM actions WHERE id = $1
+      RETURNING id
+    `, [actionId, dueAt, deferUntil]);
+    return result.rows[0].id;
+  }
+
+  async replaceActionDependencies(client, actionId, dependsOnIds) {
+    await client.query('DELETE FROM action_dependencies WHERE action_id = $1', [actionId]);
+
+    if (dependsOnIds.length > 0) {
+      await client.query(`
+        INSERT INTO action_dependencies (action_id, depends_on_id)
+        SELECT $1, unnest($2::int[])
+        ON CONFLICT DO NOTHING
+      `, [actionId, dependsOnIds]);
+    }
+  }
+
+  // Ids from the list that are not actions
+  async findMissingActionIds(ids) {
+    if (!ids || ids.length === 0) return [];
+
+    const result = await this.query(`
+      SELECT wanted.id FROM unnest($1::int[]) AS wanted(id)
+      WHERE NOT EXISTS (SELECT 1 FROM actions a WHERE a.id = wanted.id)
+    `, [ids]);
+    return result.rows.map(row => row.id);
+  }
+
+  // Whether making actionId depend on dependsOnIds would close a loop, i.e.
+  // one of them already depends (directly or transitively) on actionId
+  async wouldCreateDependencyCycle(actionId, dependsOnIds) {
+    if (!dependsOnIds || dependsOnIds.length === 0) return false;
+    if (dependsOnIds.includes(Number(actionId))) return true;
+
+    const result = await this.query(`
+      WITH RECURSIVE upstream(id) AS (
+        SELECT unnest($2::int[])
+        UNION
+        SELECT ad.depends_on_id
+        FROM action_dependencies ad
+        JOIN upstream u ON ad.action_id = u.id
+      )
+      SELECT EXISTS (SELECT 1 FROM upstream WHERE id = $1) as cycle
+    `, [actionId, dependsOnIds]);
+    return result.rows[0].cycle;
+  }
+
+  // Available next actions ranked for "what should I do now?". Candidates are
+  // open, not deferred, blocked or waiting, in one of the given contexts (actions with
+  // no context fit anywhere), short enough for the minutes available and no
+  // more demanding than the current energy level.
+  async findEngageActions({ contexts = null, minutes = null, energy = null, limit = 20 } = {}) {
+    const values = [ENGAGE_DUE_HALF_LIFE_DAYS, ENGAGE_AGE_CAP_DAYS];
+    const conditions = [
+      'a.completed_at IS NULL',
+      ACTION_AVAILABLE
+    ];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replaceAll('?', `$${values.length}`));
+    };
+
+    if (contexts && contexts.length > 0) {
+      addCondition('(COALESCE(cardinality(a.contexts), 0) = 0 OR a.contexts && ?::text[])', contexts);
+    }
+    if (minutes) {
+      addCondition('(a.time_estimate_minutes IS NULL OR a.time_estimate_minutes <= ?)', minutes);
+    }
+    if (energy) {
+      // Levels up to and including the current one
+      const levels = ENERGY_LEVELS.slice(0, ENERGY_LEVELS.indexOf(energy) + 1);
+      addCondition('(a.energy IS NULL OR a.energy = ANY(?::text[]))', levels);
+    }
+
+    values.push(ENGAGE_WEIGHTS.due, ENGAGE_WEIGHTS.priority, ENGAGE_WEIGHTS.age, limit);
+    const n = values.length;
+
+    const result = await this.query(`
+      WITH candidates AS (
+        SELECT 
+          ${ACTION_COLUMNS},
+          (CASE
+            WHEN a.due_at IS NULL THEN 0
+            WHEN a.due_at <= NOW() THEN 1
+            ELSE 1 / (1 + EXTRACT(EPOCH FROM (a.due_at - NOW())) / 86400 / $1)
+          END)::float8 as due_score,
+          ((5 - COALESCE(a.priority, 3)) / 4.0)::float8 as priority_score,
+          LEAST(1, EXTRACT(EPOCH FROM (NOW() - a.created_at)) / 86400 / $2)::float8 as age_score
+        FROM actions a
+        WHERE ${conditions.join(' AND ')}
+      )
+      SELECT *, (due_score * $${n - 3} + priority_score * $${n - 2} + age_score * $${n - 1})::float8 as score
+      FROM candidates
+      ORDER BY score DESC, due_at ASC NULLS LAST, id ASC
+      LIMIT $${n}
+    `, values);
+
+    return result.rows.map(({ due_score, priority_score, age_score, score, ...action }) => ({
+      ...action,
+      score: Math.round(score * 1000) / 1000,
+      score_breakdown: {
+        due: Math.round(due_score * 1000) / 1000,
+        priority: Math.round(priority_score * 1000) / 1000,
+        age: Math.round(age_score * 1000) / 1000
+      }
+    }));
+  }
+
+  // The agenda for today in a time zone: open actions overdue or due today,
+  // documents the tickler brings back today (still waiting or already
+  // promoted), waiting-for items due a follow-up, and the best-ranked engage
+  // candidates for each context, leaving out actions already listed as due
+  async getAgenda(timezone, { perContext = 3 } = {}) {
+    const day = await this.query(`
+      SELECT 
+        to_char(NOW() AT TIME ZONE $1, 'YYYY-MM-DD') as date,
+        date_trunc('day', NOW() AT TIME ZONE $1) AT TIME ZONE $1 as starts_at,
+        (date_trunc('day', NOW() AT TIME ZONE $1) + INTERVAL '1 day') AT TIME ZONE $1 as ends_at
+    `, [timezone]);
+    const { date, starts_at: startsAt, ends_at: endsAt } = day.rows[0];
+
+    const due = await this.query(`
+      SELECT ${ACTION_COLUMNS}
+      FROM actions a
+      WHERE a.completed_at IS NULL AND a.due_at < $1
+      ORDER BY a.due_at ASC, a.priority ASC, a.id ASC
+    `, [endsAt]);
+
+    const ticklers = await this.query(`
+      SELECT ${DOCUMENT_LIST_COLUMNS}
+      FROM documents d
+      WHERE d.is_active = true
+      AND (
+        (d.tickle_at >= $1 AND d.tickle_at < $2)
+        OR EXISTS (
+          SELECT 1 FROM document_revisions r
+          WHERE r.document_id = d.id AND r.change_source = 'tickler' AND r.created_at >= $1
+        )
+      )
+      ORDER BY d.tickle_at ASC NULLS FIRST, d.id ASC
+    `, [startsAt, endsAt]);
+
+    const followUps = await this.query(`
+      SELECT ${ACTION_COLUMNS}
+      FROM actions a
+      WHERE a.completed_at IS NULL AND ${ACTION_WAITING} AND a.follow_up_at < $1
+      ORDER BY a.follow_up_at ASC, a.id ASC
+    `, [endsAt]);
+
+    const listed = new Set(due.rows.map(action => action.id));
+    const engage = new Map();
+    for (const action of await this.findEngageActions({ limit: 200 })) {
+      if (listed.has(action.id)) continue;
+
+      for (const context of action.contexts?.length > 0 ? action.contexts : [null]) {
+        if (!engage.has(context)) engage.set(context, []);
+        const actions = engage.get(context);
+        if (actions.length < perContext) actions.push(action);
+      }
+    }
+
+    return {
+      date,
+      timezone,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      overdue: due.rows.filter(action => action.due_at < startsAt),
+      due_today: due.rows.filter(action => action.due_at >= startsAt),
+      ticklers: ticklers.rows,
+      follow_ups: followUps.rows,
+      engage: [...engage].map(([context, actions]) => ({ context, actions }))
+    };
+  }
+
+  async deleteAction(id) {
+    const result = await this.query('DELETE FROM actions WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  // Open waiting-for items, oldest follow-up first (items without one last).
+  // overdue keeps those whose follow-up date has passed.
+  async listWaitingFor({ delegatee, project, overdue = false, limit = 50, offset = 0 } = {}) {
+    const values = [];
+    const conditions = ['a.completed_at IS NULL', ACTION_WAITING];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replaceAll('?', `$${values.length}`));
+    };
+
+    if (delegatee) addCondition('lower(a.delegatee) = lower(?)', delegatee);
+    if (project) addCondition('a.project = ?', project);
+    if (overdue) conditions.push('a.follow_up_at <= NOW()');
+
+    values.push(limit + 1, offset);
+    const result = await this.query(`
+      SELECT 
+        ${ACTION_COLUMNS},
+        CASE WHEN a.follow_up_at <= NOW()
+          THEN FLOOR(EXTRACT(EPOCH FROM (NOW() - a.follow_up_at)) / 86400)::int
+        END as days_overdue
+      FROM actions a
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.follow_up_at ASC NULLS LAST, a.delegated_at ASC, a.id ASC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `, values);
+
+    return {
+      actions: result.rows.slice(0, limit),
+      hasMore: result.rows.length > limit
+    };
+  }
+
+  // Open actions first by due date (undated last), then priority, then age.
+  // status is 'open', 'completed' or 'all'; available hides deferred, blocked
+  // and waiting actions; waiting true or false keeps only or drops waiting-for
+  // items.
+  async listActions(options = {}) {
+    const {
+      status = 'open',
+      available = false,
+      waiting,
+      documentId,
+      contexts,
+      project,
+      projectId,
+      area,
+      energy,
+      dueBefore,
+      dueAfter,
+      limit = 50,
+      offset = 0
+    } = options;
+
+    const values = [];
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replaceAll('?', `$${values.length}`));
+    };
+
+    if (status === 'open') conditions.push('a.completed_at IS NULL');
+    if (status === 'completed') conditions.push('a.completed_at IS NOT NULL');
+    if (available) conditions.push(ACTION_AVAILABLE);
+    if (waiting === true) conditions.push(ACTION_WAITING);
+    if (waiting === false) conditions.push(`NOT ${ACTION_WAITING}`);
+    if (documentId) addCondition('a.document_id = ?', documentId);
+    if (contexts && contexts.length > 0) addCondition('a.contexts && ?::text[]', contexts);
+    if (project) addCondition('a.project = ?', project);
+    if (projectId) addCondition('a.project_id = ?', projectId);
+    if (area) addCondition('a.area = ?', area);
+    if (energy) addCondition('a.energy = ?', energy);
+    if (dueBefore) addCondition('a.due_at < ?', dueBefore);
+    if (dueAfter) addCondition('a.due_at >= ?', dueAfter);
+
+    values.push(limit + 1, offset);
+    const result = await this.query(`
+      SELECT ${ACTION_COLUMNS}
+      FROM actions a
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY 
+        ${status === 'completed' ? 'a.completed_at DESC,' : ''}
+        a.due_at ASC NULLS LAST, a.priority ASC, a.created_at ASC, a.id ASC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `, values);
+
+    return {
+      actions: result.rows.slice(0, limit),
+      hasMore: result.rows.length > limit
+    };
+  }
+
+  // Returns null when a project with that name (ignoring case) already exists
+  async createProject(project) {
+    const columns = [];
+    const values = [];
+
+    Object.entries(project).forEach(([key, value]) => {
+      if (value !== undefined) {
+        columns.push(this.writableColumn(PROJECT_WRITABLE_COLUMNS, key));
+        values.push(value);
+      }
+    });
+
+    const result = await this.query(`
+      INSERT INTO projects (${columns.join(', ')})
+      VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `, values);
+
+    return result.rows.length > 0 ? this.getProject(result.rows[0].id) : null;
+  }
+
+  async getProject(id) {
+    const result = await this.query(`SELECT ${PROJECT_COLUMNS} FROM projects p WHERE p.id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  async getProjectByName(name) {
+    const result = await this.query(
+      `SELECT ${PROJECT_COLUMNS} FROM projects p WHERE lower(p.name) = lower(trim($1))`,
+      [name]
+    );
+    return result.rows[0];
+  }
+
+  async updateProject(id, updates) {
+    const assignments = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined) {
+        values.push(value);
+        assignments.push(`${this.writableColumn(PROJECT_WRITABLE_COLUMNS, key)} = $${values.length}`);
+      }
+    });
+
+    if (assignments.length === 0) return null;
+
+    values.push(id);
+    const result = await this.query(`
+      UPDATE projects SET ${assignments.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING id
+    `, values);
+
+    return result.rows.length > 0 ? this.getProject(id) : undefined;
+  }
+
+  // Documents and actions in the project are kept but lose their project
+  async deleteProject(id) {
+    const result = await this.query('DELETE FROM projects WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  // reviewDue limits the list to projects whose next review date has passed
+  async listProjects({ status, area, reviewDue = false } = {}) {
+    const values = [];
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replaceAll('?', `$${values.length}`));
+    };
+
+    if (status) addCondition('p.status = ?', status);
+    if (area) addCondition('p.area = ?', area);
+    if (reviewDue) conditions.push('p.next_review_at <= NOW()');
+
+    const result = await this.query(`
+      SELECT ${PROJECT_COLUMNS}
+      FROM projects p
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY lower(p.name)
+    `, values);
+    return result.rows;
+  }
+
+  // Active projects with neither a next action nor anything they are waiting
+  // for, least recently touched first.
+  // last_activity_at is the latest change to the project, its documents or
+  // its actions.
+  async getStalledProjects({ area } = {}) {
+    const values = [];
+    let areaCondition = '';
+    if (area) {
+      values.push(area);
+      areaCondition = 'AND p.area = $1';
+    }
+
+    const result = await this.query(`
+      SELECT * FROM (
+        SELECT 
+          ${PROJECT_COLUMNS},
+          GREATEST(
+            p.updated_at::timestamptz,
+            (SELECT MAX(d.updated_at)::timestamptz FROM documents d
+             WHERE d.project_id = p.id AND d.is_active = true),
+            (SELECT MAX(GREATEST(a.updated_at::timestamptz, a.completed_at)) FROM actions a
+             WHERE a.project_id = p.id)
+          ) as last_activity_at
+        FROM projects p
+        WHERE p.status = 'active' ${areaCondition}
+      ) projects
+      WHERE next_action_count = 0 AND waiting_count = 0
+      ORDER BY last_activity_at ASC, id ASC
+    `, values);
+    return result.rows;
+  }
+
+  // Returns null when an area with that name (ignoring case) already exists
+  async createHorizon(horizon) {
+    const columns = [];
+    const values = [];
+
+    Object.entries(horizon).forEach(([key, value]) => {
+      if (value !== undefined) {
+        columns.push(this.writableColumn(HORIZON_WRITABLE_COLUMNS, key));
+        values.push(value);
+      }
+    });
+
+    const result = await this.query(`
+      INSERT INTO horizons (${columns.join(', ')})
+      VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `, values);
+    return result.rows[0] || null;
+  }
+
+  async getHorizon(id) {
+    const result = await this.query('SELECT * FROM horizons WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async getAreaByName(name) {
+    const result = await this.query(
+      `SELECT * FROM horizons WHERE level = 'area' AND lower(name) = lower(trim($1))`,
+      [name]
+    );
+    return result.rows[0];
+  }
+
+  async updateHorizon(id, updates) {
+    const assignments = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined) {
+        values.push(value);
+        assignments.push(`${this.writableColumn(HORIZON_WRITABLE_COLUMNS, key)} = $${values.length}`);
+      }
+    });
+
+    if (assignments.length === 0) return null;
+
+    values.push(id);
+    const result = await this.query(`
+      UPDATE horizons SET ${assignments.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING *
+    `, values);
+    return result.rows[0];
+  }
+
+  // Children and projects are kept and move to the top of the tree
+  async deleteHorizon(id) {
+    const result = await this.query('DELETE FROM horizons WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  // Ancestors from the top of the tree down to the horizon's parent
+  async getHorizonAncestors(id) {
+    const result = await this.query(`
+      WITH RECURSIVE ancestors(id, depth) AS (
+        SELECT parent_id, 1 FROM horizons WHERE id = $1 AND parent_id IS NOT NULL
+        UNION ALL
+        SELECT h.parent_id, a.depth + 1
+        FROM horizons h
+        JOIN ancestors a ON h.id = a.id
+        WHERE h.parent_id IS NOT NULL
+      )
+      SELECT h.* FROM ancestors a
+      JOIN horizons h ON h.id = a.id
+      ORDER BY a.depth DESC
+    `, [id]);
+    return result.rows;
+  }
+
+  // Levels of the horizon's children and of the projects under it, for
+  // checking a level change
+  async getHorizonDependents(id) {
+    const result = await this.query(`
+      SELECT
+        ARRAY(SELECT DISTINCT level FROM horizons WHERE parent_id = $1) as child_levels,
+        (SELECT COUNT(*) FROM projects WHERE horizon_id = $1)::int as project_count
+    `, [id]);
+    return result.rows[0];
+  }
+
+  // Active projects, their open actions and next actions anywhere below each
+  // horizon (ids limits which horizons are rolled up). Actions with no project
+  // count under the area their area names, matched ignoring case.
+  async getHorizonRollups(ids = null) {
+    const result = await this.query(`
+      WITH RECURSIVE subtree(root_id, id) AS (
+        SELECT id, id FROM horizons WHERE $1::int[] IS NULL OR id = ANY($1::int[])
+        UNION ALL
+        SELECT s.root_id, h.id
+        FROM horizons h
+        JOIN subtree s ON h.parent_id = s.id
+      )
+      SELECT
+        s.root_id as horizon_id,
+        COUNT(DISTINCT p.id)::int as active_project_count,
+        COUNT(DISTINCT a.id)::int as open_action_count,
+        COUNT(DISTINCT a.id) FILTER (
+          WHERE ${ACTION_AVAILABLE}
+        )::int as next_action_count
+      FROM subtree s
+      JOIN horizons h ON h.id = s.id
+      LEFT JOIN projects p ON p.horizon_id = s.id AND p.status = 'active'
+      LEFT JOIN actions a ON a.completed_at IS NULL AND (
+        a.project_id = p.id
+        OR (a.project_id IS NULL AND h.level = 'area' AND lower(trim(a.area)) = lower(h.name))
+      )
+      GROUP BY s.root_id
+    `, [ids]);
+
+    const rollups = new Map(result.rows.map(({ horizon_id: id, ...counts }) => [id, counts]));
+    const empty = { active_project_count: 0, open_action_count: 0, next_action_count: 0 };
+    return (id) => rollups.get(id) || empty;
+  }
+
+  async listHorizons({ level, parentId } = {}) {
+    const values = [];
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replaceAll('?', `$${values.length}`));
+    };
+
+    if (level) addCondition('h.level = ?', level);
+    if (parentId) addCondition('h.parent_id = ?', parentId);
+
+    values.push(HORIZON_LEVELS);
+    const result = await this.query(`
+      SELECT h.* FROM horizons h
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY array_position($${values.length}::text[], h.level::text), lower(h.name)
+    `, values);
+
+    const rollup = await this.getHorizonRollups(result.rows.map(row => row.id));
+    return result.rows.map(horizon => ({ ...horizon, rollup: rollup(horizon.id) }));
+  }
+
+  // Areas of responsibility with their rollups and the live documents filed
+  // under each; documents name their area in gtd_area, matched ignoring case
+  async listAreas() {
+    const areas = await this.listHorizons({ level: 'area' });
+    const result = await this.query(`
+      SELECT h.id, COUNT(d.id)::int as document_count
+      FROM horizons h
+      JOIN documents d ON lower(trim(d.gtd_area)) = lower(h.name) AND d.is_active = true
+      WHERE h.level = 'area'
+      GROUP BY h.id
+    `);
+
+    const counts = new Map(result.rows.map(row => [row.id, row.document_count]));
+    return areas.map(area => ({ ...area, document_count: counts.get(area.id) || 0 }));
+  }
+
+  // Projects still in play (not completed or dropped), optionally only those
+  // under the given horizons; horizonIds of [] means projects under none
+  async getHorizonProjects(horizonIds = null) {
+    const result = await this.query(`
+      SELECT ${PROJECT_COLUMNS}
+      FROM projects p
+      WHERE p.status NOT IN ('completed', 'dropped')
+      AND (
+        ($1::int[] IS NULL AND p.horizon_id IS NOT NULL)
+        OR (cardinality($1::int[]) = 0 AND p.horizon_id IS NULL)
+        OR p.horizon_id = ANY($1::int[])
+      )
+      ORDER BY lower(p.name)
+    `, [horizonIds]);
+    return result.rows;
+  }
+
+  // The whole hierarchy as nested { ...horizon, rollup, children }, roots
+  // first by level. With includeProjects each node lists its projects and the
+  // result carries the projects that sit under no horizon.
+  async getHorizonTree({ includeProjects = false } = {}) {
+    const horizons = await this.listHorizons();
+    const nodes = new Map(horizons.map(horizon => [horizon.id, { ...horizon, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.parent_id);
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    }
+
+    if (!includeProjects) return { horizons: roots };
+
+    for (const node of nodes.values()) node.projects = [];
+    for (const project of await this.getHorizonProjects()) {
+      nodes.get(project.horizon_id)?.projects.push(project);
+    }
+
+    return { horizons: roots, unassigned_projects: await this.getHorizonProjects([]) };
+  }
+
+  // Contexts ordered by path. available keeps those available at `at` (default
+  // now); a latitude and longitude keep those without a location or whose
+  // radius takes in the point.
+  async listContexts({ at, available, latitude, longitude, parentId } = {}) {
+    const values = [at || new Date(), latitude ?? null, longitude ?? null];
+    const conditions = [];
+
+    if (available) conditions.push('ctx.available');
+    if (latitude !== undefined && longitude !== undefined) {
+      conditions.push(`(ctx.latitude IS NULL OR ctx.distance_meters <= COALESCE(ctx.radius_meters, ${CONTEXT_DEFAULT_RADIUS_METERS}))`);
+    }
+    if (parentId) {
+      values.push(parentId);
+      conditions.push(`ctx.parent_id = $${values.length}`);
+    }
+
+    const result = await this.query(`
+      SELECT * FROM (${CONTEXT_SELECT}) ctx
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY lower(ctx.path)
+    `, values);
+    return result.rows;
+  }
+
+  async getContext(id, client = this) {
+    const result = await client.query(
+      `SELECT * FROM (${CONTEXT_SELECT}) ctx WHERE ctx.id = $4`,
+      [new Date(), null, null, id]
+    );
+    return result.rows[0];
+  }
+
+  async getContextByName(name) {
+    const result = await this.query(
+      `SELECT * FROM (${CONTEXT_SELECT}) ctx WHERE lower(ctx.name) = lower(trim($4))`,
+      [new Date(), null, null, name]
+    );
+    return result.rows[0];
+  }
+
+  // Names of every registered context, for matching imported tags
+  async getContextNames() {
+    const result = await this.query('SELECT name FROM contexts ORDER BY lower(name)');
+    return result.rows.map(row => row.name);
+  }
+
+  // Returns null when a context with that name (ignoring case) already exists
+  async createContext(context) {
+    const columns = [];
+    const values = [];
+
+    Object.entries(context).forEach(([key, value]) => {
+      if (value !== undefined) {
+        columns.push(this.writableColumn(CONTEXT_WRITABLE_COLUMNS, key));
+        values.push(value);
+      }
+    });
+
+    const result = await this.query(`
+      INSERT INTO contexts (${columns.join(', ')})
+      VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `, values);
+    return result.rows.length > 0 ? this.getContext(result.rows[0].id) : null;
+  }
+
+  // Renaming rewrites the context on every document and action that carries
+  // it. Returns { context, rewritten } with the number of documents and actions
+  // rewritten, or null when the context does not exist.
+  async updateContext(id, updates) {
+    return this.withChangeSource('contexts', async (client) => {
+      const existing = await client.query('SELECT name FROM contexts WHERE id = $1 FOR UPDATE', [id]);
+      if (existing.rows.length === 0) return null;
+
+      const oldName = existing.rows[0].name;
+      if (isInboxContext(oldName) && updates.name !== undefined && updates.name !== oldName) {
+        throw inboxContextProtected('renamed');
+      }
+
+      const assignments = [];
+      const values = [];
+
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value !== undefined) {
+          values.push(value);
+          assignments.push(`${this.writableColumn(CONTEXT_WRITABLE_COLUMNS, key)} = $${values.length}`);
+        }
+      });
+
+      if (assignments.length > 0) {
+        values.push(id);
+        await client.query(`UPDATE contexts SET ${assignments.join(', ')} WHERE id = $${values.length}`, values);
+      }
+
+      const rewritten = updates.name !== undefined && updates.name !== oldName
+        ? await this.rewriteContexts(client, [oldName], updates.name)
+        : { documents: 0, actions: 0 };
+
+      return { context: await this.getContext(id, client), rewritten };
+    });
+  }
+
+  // Children move to the top of the hierarchy; documents and actions keep the
+  // context, which then shows up as unregistered
+  async deleteContext(id) {
+    return this.transaction(async (client) => {
+      const existing = await client.query('SELECT name FROM contexts WHERE id = $1 FOR UPDATE', [id]);
+      if (existing.rows.length === 0) return false;
+      if (isInboxContext(existing.rows[0].name)) throw inboxContextProtected('deleted');
+
+      await client.query('DELETE FROM contexts WHERE id = $1', [id]);
+      return true;
+    });
+  }
+
+  // Fold the named contexts into the target: every document and action
+  // carrying one carries the target instead, children of merged registered
+  // contexts move under the target and the merged contexts are removed.
+  // names may include contexts that were never registered. Returns null when
+  // the target does not exist.
+  async mergeContexts(targetId, names) {
+    return this.withChangeSource('contexts', async (client) => {
+      const target = await client.query('SELECT id, name, parent_id FROM contexts WHERE id = $1 FOR UPDATE', [targetId]);
+      if (target.rows.length === 0) return null;
+      const { name: targetName, parent_id: targetParentId } = target.rows[0];
+
+      if (!isInboxContext(targetName) && names.some(isInboxContext)) {
+        throw inboxContextProtected('merged into another context');
+      }
+
+      const sources = await client.query(`
+        SELECT id, name, parent_id FROM contexts
+        WHERE lower(name) = ANY($1::text[]) AND id <> $2
+        FOR UPDATE
+      `, [names.map(name => name.toLowerCase()), targetId]);
+      const sourceIds = sources.rows.map(source => source.id);
+
+      // A target that sits under a merged context moves up to the nearest
+      // ancestor that stays
+      const parents = new Map(sources.rows.map(source => [source.id, source.parent_id]));
+      let parentId = targetParentId;
+      while (parents.has(parentId)) parentId = parents.get(parentId);
+      if (parentId !== targetParentId) {
+        await client.query('UPDATE contexts SET parent_id = $1 WHERE id = $2', [parentId, targetId]);
+      }
+
+      await client.query(
+        'UPDATE contexts SET parent_id = $1 WHERE parent_id = ANY($2::int[]) AND id <> $1',
+        [targetId, sourceIds]
+      );
+      await client.query('DELETE FROM contexts WHERE id = ANY($1::int[])', [sourceIds]);
+
+      const merged = [...new Set([...names, ...sources.rows.map(source => source.name)])]
+        .filter(name => name !== targetName);
+      const rewritten = await this.rewriteContexts(client, merged, targetName);
+
+      return { context: await this.getContext(targetId, client), merged, rewritten };
+    });
+  }
+
+  // Replace oldNames, ignoring case, with newName in every document's and
+  // action's contexts. Only rows the rewrite changes are touched.
+  async rewriteContexts(client, oldNames, newName) {
+    if (oldNames.length === 0) return { documents: 0, actions: 0 };
+
+    const documents = await client.query(`
+      UPDATE documents
+      SET gtd_contexts = replace_contexts(gtd_contexts, $1::text[], $2), updated_at = NOW()
+      WHERE gtd_contexts <> replace_contexts(gtd_contexts, $1::text[], $2)
+    `, [oldNames, newName]);
+    const actions = await client.query(`
+      UPDATE actions
+      SET contexts = replace_contexts(contexts, $1::text[], $2), updated_at = NOW()
+      WHERE contexts <> replace_contexts(contexts, $1::text[], $2)
+    `, [oldNames, newName]);
+
+    return { documents: documents.rowCount, actions: actions.rowCount };
+  }
+
+  // Ancestors from the top of the hierarchy down to the context's parent
+  async getContextAncestors(id) {
+    const result = await this.query(`
+      WITH RECURSIVE ancestors(id, depth) AS (
+        SELECT parent_id, 1 FROM contexts WHERE id = $1 AND parent_id IS NOT NULL
+        UNION ALL
+        SELECT c.parent_id, a.depth + 1
+        FROM contexts c
+        JOIN ancestors a ON c.id = a.id
+        WHERE c.parent_id IS NOT NULL AND a.depth < 100
+      )
+      SELECT c.id, c.name FROM ancestors a
+      JOIN contexts c ON c.id = a.id
+      ORDER BY a.depth DESC
+    `, [id]);
+    return result.rows;
+  }
+
+  // Every registered context as nested { ...context, children }
+  async getContextTree(options = {}) {
+    const nodes = new Map((await this.listContexts(options)).map(context => [context.id, { ...context, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.parent_id);
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    }
+
+    return roots;
+  }
+
+  // Contexts on live documents or open actions that are not in the registry
+  async listUnregisteredContexts() {
+    const result = await this.query(`
+      SELECT name as context, SUM(documents)::int as document_count, SUM(actions)::int as open_action_count
+      FROM (
+        SELECT unnest(gtd_contexts) as name, 1 as documents, 0 as actions FROM documents WHERE is_active = true
+        UNION ALL
+        SELECT unnest(contexts), 0, 1 FROM actions WHERE completed_at IS NULL
+      ) used
+      WHERE NOT EXISTS (SELECT 1 FROM contexts c WHERE c.name = used.name)
+      GROUP BY name
+      ORDER BY COUNT(*) DESC, name
+    `);
+    return result.rows;
+  }
+
+  // Start a weekly review with every checklist step pending. Returns null
+  // while another review is in progress.
+  async startReviewSession({ notes = null } = {}) {
+    return this.transaction(async (client) => {
+      const created = await client.query(`
+        INSERT INTO review_sessions (notes) VALUES ($1)
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `, [notes]);
+      if (created.rows.length === 0) return null;
+
+      const id = created.rows[0].id;
+      await client.query(`
+        INSERT INTO review_session_steps (session_id, step, position)
+        SELECT $1, step, position FROM unnest($2::text[]) WITH ORDINALITY AS steps(step, position)
+      `, [id, REVIEW_STEPS]);
+
+      return this.getReviewSession(id, client);
+    });
+  }
+
+  async getActiveReviewSession() {
+    const result = await this.query("SELECT id FROM review_sessions WHERE status = 'in_progress'");
+    return result.rows.length > 0 ? this.getReviewSession(result.rows[0].id) : null;
+  }
+
+  // A session with its steps in checklist order and how many items it has
+  // marked reviewed. current_step is the first step not yet done or skipped.
+  async getReviewSession(id, client = this) {
+    const result = await client.query(`
+      SELECT 
+        s.*,
+        (SELECT json_agg(json_build_object(
+           'step', st.step, 'status', st.status, 'notes', st.notes, 'completed_at', st.completed_at
+         ) ORDER BY st.position)
+         FROM review_session_steps st WHERE st.session_id = s.id) as steps,
+        (SELECT st.step FROM review_session_steps st
+         WHERE st.session_id = s.id AND st.status IN ('pending', 'in_progress')
+         ORDER BY st.position LIMIT 1) as current_step,
+        (SELECT COUNT(*) FROM review_session_items i WHERE i.session_id = s.id)::int as items_reviewed
+      FROM review_sessions s
+      WHERE s.id = $1
+    `, [id]);
+    return result.rows[0];
+  }
+
+  // Review history, newest first, with each completed session's snapshot
+  async listReviewSessions({ status, limit = 50, offset = 0 } = {}) {
+    const values = [];
+    let statusCondition = '';
+    if (status) {
+      values.push(status);
+      statusCondition = 'WHERE s.status = $1';
+    }
+
+    values.push(limit + 1, offset);
+    const result = await this.query(`
+      SELECT s.*
+      FROM review_sessions s
+      ${statusCondition}
+      ORDER BY s.started_at DESC, s.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `, values);
+
+    return {
+      sessions: result.rows.slice(0, limit),
+      hasMore: result.rows.length > limit
+    };
+  }
+
+  async updateReviewStep(sessionId, step, { status, notes }) {
+    const result = await this.query(`
+      UPDATE review_session_steps SET
+        status = COALESCE($3, status),
+        notes = CASE WHEN $4::boolean THEN $5 ELSE notes END,
+        completed_at = CASE
+          WHEN $3 IN ('done', 'skipped') THEN COALESCE(completed_at, NOW())
+          WHEN $3 IS NOT NULL THEN NULL
+          ELSE completed_at
+        END
+      WHERE session_id = $1 AND step = $2
+      RETURNING *
+    `, [sessionId, step, status || null, notes !== undefined, notes ?? null]);
+    return result.rows[0];
+  }
+
+  // What a checklist step goes through: the items to look at, each with
+  // reviewed_at when this session has marked it reviewed
+  async getReviewStepItems(sessionId, step) {
+    const reviewed = await this.query(
+      'SELECT item_type, item_id, reviewed_at FROM review_session_items WHERE session_id = $1',
+      [sessionId]
+    );
+    const reviewedAt = new Map(reviewed.rows.map(row => [`${row.item_type}:${row.item_id}`, row.reviewed_at]));
+    const withReviewed = (type, rows) => rows.map(row => ({
+      ...row,
+      reviewed_at: reviewedAt.get(`${type}:${row.id}`) || null
+    }));
+
+    switch (step) {
+      case 'empty_inbox': {
+        const { documents } = await this.listInbox({ limit: 200 });
+        return { documents: withReviewed('document', documents) };
+      }
+      case 'review_projects': {
+        const projects = await this.query(`
+          SELECT ${PROJECT_COLUMNS}
+          FROM projects p
+          WHERE p.status = 'active'
+          ORDER BY p.last_reviewed_at ASC NULLS FIRST, lower(p.name)
+        `);
+        return { projects: withReviewed('project', projects.rows) };
+      }
+      case 'review_waiting_for': {
+        const { actions } = await this.listWaitingFor({ limit: 200 });
+        return { actions: withReviewed('action', actions) };
+      }
+      case 'review_someday': {
+        const someday = await this.getSomedayItems(200);
+        return {
+          documents: withReviewed('document', someday.documents),
+          projects: withReviewed('project', someday.projects)
+        };
+      }
+      case 'calendar_lookback': {
+        const actions = await this.query(`
+          SELECT ${ACTION_COLUMNS}
+          FROM actions a
+          WHERE (a.due_at >= NOW() - make_interval(days => $1) AND a.due_at < NOW())
+          OR a.completed_at >= NOW() - make_interval(days => $1)
+          ORDER BY COALESCE(a.due_at, a.completed_at) ASC, a.id ASC
+        `, [REVIEW_LOOKBACK_DAYS]);
+        return { actions: withReviewed('action', actions.rows) };
+      }
+      case 'calendar_lookahead': {
+        const actions = await this.query(`
+          SELECT ${ACTION_COLUMNS}
+          FROM actions a
+          WHERE a.completed_at IS NULL
+          AND a.due_at >= NOW() AND a.due_at < NOW() + make_interval(days => $1)
+          ORDER BY a.due_at ASC, a.id ASC
+        `, [REVIEW_LOOKAHEAD_DAYS]);
+        const documents = await this.query(`
+          SELECT ${DOCUMENT_LIST_COLUMNS}
+          FROM documents d
+          WHERE d.is_active = true
+          AND d.tickle_at > NOW() AND d.tickle_at < NOW() + make_interval(days => $1)
+          ORDER BY d.tickle_at ASC, d.id ASC
+        `, [REVIEW_LOOKAHEAD_DAYS]);
+        return {
+          actions: withReviewed('action', actions.rows),
+          documents: withReviewed('document', documents.rows)
+        };
+      }
+      default:
+        throw new Error(`Unknown review step: ${step}`);
+    }
+  }
+
+  // Mark an item reviewed in a session; reviewing a project also records
+  // when it was last reviewed. Returns null when the item does not exist.
+  async markReviewItem(sessionId, { type, id, notes = null }) {
+    const table = { document: 'documents', project: 'projects', action: 'actions' }[type];
+
+    return this.transaction(async (client) => {
+      const exists = await client.query(`SELECT 1 FROM ${table} WHERE id = $1`, [id]);
+      if (exists.rows.length === 0) return null;
+
+      const result = await client.query(`
+        INSERT INTO review_session_items (session_id, item_type, item_id, notes)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (session_id, item_type, item_id)
+        DO UPDATE SET notes = COALESCE(EXCLUDED.notes, review_session_items.notes), reviewed_at = NOW()
+        RETURNING *
+      `, [sessionId, type, id, notes]);
+
+      if (type === 'project') {
+        await client.query('UPDATE projects SET last_reviewed_at = NOW() WHERE id = $1', [id]);
+      }
+      return result.rows[0];
+    });
+  }
+
+  // Finish a session, storing counts that describe the system as the review
+  // leaves it. Returns null unless the session is in progress.
+  async completeReviewSession(id, { notes } = {}) {
+    return this.transaction(async (client) => {
+      const snapshot = await client.query(`
+        SELECT 
+          (SELECT COUNT(*) FROM documents d WHERE ${INBOX_DOCUMENT})::int as inbox_remaining,
+          (SELECT COUNT(*) FROM projects WHERE status = 'active')::int as active_projects,
+          (SELECT COUNT(*) FROM (SELECT ${PROJECT_COLUMNS} FROM projects p WHERE p.status = 'active') active
+           WHERE next_action_count = 0 AND waiting_count = 0)::int as stalled_projects,
+          (SELECT COUNT(*) FROM actions a
+           WHERE a.completed_at IS NULL AND ${ACTION_AVAILABLE})::int as next_actions,
+          (SELECT COUNT(*) FROM actions a
+           WHERE a.completed_at IS NULL AND ${ACTION_WAITING})::int as waiting_for,
+          (SELECT COUNT(*) FROM actions a
+           WHERE a.completed_at IS NULL AND ${ACTION_WAITING} AND a.follow_up_at <= NOW())::int as waiting_for_overdue,
+          (SELECT COUNT(*) FROM documents d
+           WHERE d.is_active = true AND d.gtd_status = 'someday')::int as someday_documents,
+          (SELECT COUNT(*) FROM projects WHERE status = 'someday')::int as someday_projects,
+          (SELECT COUNT(*) FROM actions a
+           WHERE a.completed_at >= NOW() - make_interval(days => $2))::int as actions_completed,
+          (SELECT COUNT(*) FROM documents d
+           WHERE d.completed_at >= NOW() - make_interval(days => $2))::int as documents_completed,
+          (SELECT COUNT(*) FROM review_session_items i
+           WHERE i.session_id = $1 AND i.item_type = 'project')::int as projects_reviewed,
+          (SELECT COUNT(*) FROM review_session_items i WHERE i.session_id = $1)::int as items_reviewed,
+          (SELECT json_object_agg(st.step, st.status) FROM review_session_steps st
+           WHERE st.session_id = $1) as steps
+      `, [id, REVIEW_LOOKBACK_DAYS]);
+
+      const result = await client.query(`
+        UPDATE review_sessions SET
+          status = 'completed',
+          completed_at = NOW(),
+          snapshot = $2,
+          notes = CASE WHEN $3::boolean THEN $4 ELSE notes END
+        WHERE id = $1 AND status = 'in_progress'
+        RETURNING id
+      `, [id, snapshot.rows[0], notes !== undefined, notes ?? null]);
+
+      return result.rows.length > 0 ? this.getReviewSession(id, client) : null;
+    });
+  }
+
+  // Returns null unless the session is in progress
+  async abandonReviewSession(id) {
+    const result = await this.query(`
+      UPDATE review_sessions SET status = 'abandoned', completed_at = NOW()
+      WHERE id = $1 AND status = 'in_progress'
+      RETURNING id
+    `, [id]);
+    return result.rows.length > 0 ? this.getReviewSession(id) : null;
+  }
+
+  // When each project was last reviewed, never-reviewed first
+  async getProjectReviewHistory() {
+    const result = await this.query(`
+      SELECT 
+        p.id, p.name, p.status, p.area, p.last_reviewed_at,
+        (SELECT COUNT(*) FROM review_session_items i
+         WHERE i.item_type = 'project' AND i.item_id = p.id)::int as review_count
+      FROM projects p
+      WHERE p.status NOT IN ('completed', 'dropped')
+      ORDER BY p.last_reviewed_at ASC NULLS FIRST, lower(p.name)
+    `);
+    return result.rows;
+  }
+
+  async getUnprocessedDocuments(limit = 10) {
+    const result = await this.query(
+      'SELECT * FROM documents WHERE processed_at IS NULL LIMIT $1',
+      [limit]
+    );
+    return result.rows;
+  }
+
+  async markDocumentProcessed(id) {
+    const result = await this.query(
+      'UPDATE documents SET processed_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  async addToEmbeddingQueue(documentId, priority = 5, client = this) {
+    const result = await client.query(
+      'INSERT INTO embedding_queue (document_id, priority) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING *',
+      [documentId, priority]
+    );
+    return result.rows[0];
+  }
+
+  async getEmbeddingQueueItems(limit = 10) {
+    const result = await this.query(`
+      SELECT eq.*, d.title, d.content 
+      FROM embedding_queue eq
+      JOIN documents d ON eq.document_id = d.id
+      WHERE eq.processed_at IS NULL
+      ORDER BY eq.priority DESC, eq.created_at ASC
+      LIMIT $1
+    `, [limit]);
+    return result.rows;
+  }
+
+  async updateEmbedding(documentId, embedding) {
+    const result = await this.query(
+      'UPDATE documents SET embedding = $2, needs_embedding = false WHERE id = $1 RETURNING *',
+      [documentId, embedding]
+    );
+    return result.rows[0];
+  }
+
+  async recordSearch(query, filters, resultCount) {
+    await this.query(
+      'INSERT INTO search_history (query, filters, result_count) VALUES ($1, $2, $3)',
+      [query, filters, resultCount]
+    );
+  }
+
+  async getMigrationProgress(migrationId) {
+    const result = await this.query(
+      'SELECT * FROM migration_progress WHERE migration_id = $1',
+      [migrationId]
+    );
+    return result.rows[0];
+  }
+
+  async updateMigrationProgress(migrationId, updates) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined) {
+        const column = this.camelToSnake(key);
+        if (!MIGRATION_PROGRESS_COLUMNS.includes(column)) {
+          throw new Error(`Field is not writable: ${key}`);
+        }
+        fields.push(`${column} = $${paramCount}`);
+        // error_log is JSONB; pg would otherwise send arrays as Postgres arrays
+        values.push(column === 'error_log' ? JSON.stringify(value) : value);
+        paramCount++;
+      }
+    });
+
+    values.push(migrationId);
+    const query = `
       UPDATE migration_progress 
       SET ${fields.join(', ')}, last_processed = NOW()
       WHERE migration_id = $${paramCount}
@@ -293,6 +2952,16 @@ class GTDDatabaseClient {
     );
   }
 
+  // Resolve a client field name (camelCase or snake_case) to a column on the
+  // allow-list, so request keys never reach SQL as identifiers
+  writableColumn(allowed, key) {
+    const column = allowed[key] || Object.values(allowed).find(c => c === key);
+    if (!column) {
+      throw new Error(`Field is not writable: ${key}`);
+    }
+    return column;
+  }
+
   // Helper method to convert camelCase to snake_case
   camelToSnake(str) {
     return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
@@ -1,5 +1,22 @@
 import OpenAI from 'openai';
-import { gtdDB } from './gtd-database-client.js';
+import { gtdDB, DOCUMENT_STATUSES } from './gtd-database-client.js';
+
+// Field operators the search box understands, by every name they can be typed as
+const QUERY_OPERATORS = {
+  context: 'context',
+  contexts: 'context',
+  project: 'project',
+  area: 'area',
+  status: 'status',
+  source: 'source_type',
+  source_type: 'source_type',
+  type: 'source_type',
+  before: 'before',
+  after: 'after',
+  has: 'has'
+};
+
+const CONTEXT_PATTERN = /^@[^\s,]{1,99}$/;
 
 export class GTDSearchService {
   constructor() {
@@ -11,36 +28,51 @@ export class GTDSearchService {
     }
   }
 
+  // query may carry field operators (see parseQuery); the text left over goes
+  // to the full-text query and the embedding. A query that is all operators
+  // lists the documents they match. Every mode narrows its matches by the
+  // same filters: the filter fields of options (see searchFilters in the
+  // database client) and the operators.
   async search(query, options = {}) {
     const {
       type = 'hybrid', // 'text', 'vector', 'hybrid'
-      contexts = null,
-      area = null,
-      project = null,
       limit = 50,
       vectorWeight = 0.6
     } = options;
 
+    const parsed = this.parseQuery(query);
+    if (parsed.errors.length > 0) {
+      throw new Error(`Invalid search query: ${parsed.errors.map(error => error.message).join('; ')}`);
+    }
+    const { text, operators } = parsed;
+    // A query that only excludes words still needs something to embed
+    const semanticText = parsed.semanticText || text;
+    const searchOptions = { ...options, limit, vectorWeight, operators };
+
     let results = [];
     
-    switch (type) {
+    switch (text ? type : 'filter') {
+      case 'filter':
+        results = await gtdDB.filterDocuments(searchOptions);
+        break;
+
       case 'text':
-        results = await this.textSearch(query, { contexts, area, limit });
+        results = await this.textSearch(text, searchOptions);
         break;
       
       case 'vector':
         if (!this.openai) {
           throw new Error('Vector search requires OPENAI_API_KEY');
         }
-        results = await this.vectorSearch(query, { contexts, area, limit });
+        results = await this.vectorSearch(semanticText, searchOptions);
         break;
       
       case 'hybrid':
         if (!this.openai) {
           // Fall back to text search if no OpenAI key
-          results = await this.textSearch(query, { contexts, area, limit });
+          results = await this.textSearch(text, searchOptions);
         } else {
-          results = await this.hybridSearch(query, { contexts, area, limit, vectorWeight });
+          results = await this.hybridSearch(text, { ...searchOptions, semanticText });
         }
         break;
       
@@ -52,62 +84,205 @@ export class GTDSearchService {
     await gtdDB.recordSearch(query, options, results.length);
 
     // Enhance results with additional data
-    return this.enhanceResults(results, query);
+    return this.enhanceResults(results, semanticText);
+  }
+
+  // Split a search box query into field operators and free text:
+  //
+  //   context:@phone project:"Kitchen Remodel" status:active before:2024-01-01 has:attachment -receipt
+  //
+  // A - in front of an operator negates it. Repeated context: operators all
+  // apply, repeated project:, area:, status: and source: operators are
+  // alternatives. before: and after: take a date or timestamp (UTC) and bound
+  // created_at; after: includes the instant given. Words that are not
+  // operators, including -word exclusions, quoted phrases and unknown name:value
+  // pairs, make up text for websearch_to_tsquery; semanticText drops the
+  // exclusions and quotes for embedding. operators is a search filter, keyed
+  // as document_matches_filters expects. errors lists problems as
+  // { field, operator, token, position, message }, position being the offset
+  // of the token in the query.
+  parseQuery(query) {
+    const terms = [];
+    const operators = {};
+    const errors = [];
+    let afterToken = null;
+
+    for (const token of this.tokenizeQuery(query)) {
+      const fail = (message, operator = null) => errors.push({
+        field: 'query', operator, token: token.raw, position: token.position, message
+      });
+
+      const match = token.raw.match(/^(-?)([A-Za-z_]+):(.*)$/s);
+      const operator = match && QUERY_OPERATORS[match[2].toLowerCase()];
+
+      if (!operator) {
+        if (token.unterminated) fail('Unterminated quote');
+        else terms.push(token.raw);
+        continue;
+      }
+
+      const negated = match[1] === '-';
+      const value = match[3].replace(/^"|"$/g, '').trim();
+      const add = (key, item) => {
+        const name = negated ? `exclude_${key}` : key;
+        operators[name] = [...(operators[name] || []), item];
+      };
+
+      if (token.unterminated) {
+        fail('Unterminated quote', operator);
+        continue;
+      }
+      if (!value) {
+        fail(`${match[2]}: needs a value`, operator);
+        continue;
+      }
+
+      switch (operator) {
+        case 'context': {
+          const context = value.startsWith('@') ? value : `@${value}`;
+          if (!CONTEXT_PATTERN.test(context)) {
+            fail('Contexts start with @ and contain no spaces or commas', operator);
+          } else {
+            // Required contexts all apply, excluded ones any
+            add(negated ? 'contexts' : 'contexts_all', context);
+          }
+          break;
+        }
+
+        case 'status':
+          if (!DOCUMENT_STATUSES.includes(value.toLowerCase())) {
+            fail(`Status must be one of: ${DOCUMENT_STATUSES.join(', ')}`, operator);
+          } else {
+            add('status', value.toLowerCase());
+          }
+          break;
+
+        case 'project':
+        case 'area':
+        case 'source_type':
+          add(operator, value);
+          break;
+
+        case 'before':
+        case 'after': {
+          const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(value);
+          if (negated) {
+            fail(`${operator}: cannot be negated`, operator);
+          } else if (isNaN(date.getTime()) || (value.length === 10 && !date.toISOString().startsWith(value))) {
+            fail(`${operator}: needs a date (YYYY-MM-DD) or timestamp`, operator);
+          } else if (operator === 'before') {
+            // Repeated bounds keep the tightest
+            if (!operators.created_before || date < new Date(operators.created_before)) {
+              operators.created_before = date.toISOString();
+            }
+          } else if (!operators.created_after || date > new Date(operators.created_after)) {
+            operators.created_after = date.toISOString();
+            afterToken = token;
+          }
+          break;
+        }
+
+        case 'has':
+          if (!['attachment', 'attachments'].includes(value.toLowerCase())) {
+            fail('has: supports attachment', operator);
+          } else {
+            operators.has_attachment = !negated;
+          }
+          break;
+      }
+    }
+
+    if (operators.created_after && operators.created_before &&
+        operators.created_after >= operators.created_before) {
+      errors.push({
+        field: 'query',
+        operator: 'after',
+        token: afterToken.raw,
+        position: afterToken.position,
+        message: 'after: must be earlier than before:'
+      });
+    }
+
+    const text = terms.join(' ');
+    const semanticText = terms
+      .filter(term => !term.startsWith('-'))
+      .join(' ')
+      .replaceAll('"', '');
+
+    return { text, semanticText, operators, errors };
+  }
+
+  // Whitespace-separated tokens with their offsets; a double quote runs to the
+  // next one, so quoted values keep their spaces
+  tokenizeQuery(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      if (/\s/.test(query[i])) {
+        i++;
+        continue;
+      }
+
+      const position = i;
+      let unterminated = false;
+      while (i < query.length && !/\s/.test(query[i])) {
+        if (query[i] === '"') {
+          const close = query.indexOf('"', i + 1);
+          if (close === -1) {
+            unterminated = true;
+            i = query.length;
+          } else {
+            i = close + 1;
+          }
+        } else {
+          i++;
+        }
+      }
+
+      tokens.push({ raw: query.slice(position, i), position, unterminated });
+    }
+
+    return tokens;
   }
 
   async textSearch(query, options) {
-    const { contexts, area, limit } = options;
-    
-    return gtdDB.searchDocuments(query, {
-      contexts,
-      area,
-      limit
-    });
+    return gtdDB.searchDocuments(query, options);
   }
 
   async vectorSearch(query, options) {
-    const { contexts, area, limit } = options;
-    
     // Generate embedding
     const embedding = await this.generateEmbedding(query);
     
     // Search by embedding similarity
-    const results = await gtdDB.query(`
-      SELECT 
-        id,
-        title,
-        substring(content, 1, 200) as snippet,
-        1 - (embedding <=> $1::vector) as score,
-        metadata
-      FROM documents
-      WHERE 
-        embedding IS NOT NULL
-        AND is_active = true
-        ${contexts ? 'AND gtd_contexts && $2' : ''}
-        ${area ? 'AND gtd_area = $3' : ''}
-      ORDER BY embedding <=> $1::vector
-      LIMIT $4
-    `, [
-      embedding,
-      ...(contexts ? [contexts] : []),
-      ...(area ? [area] : []),
-      limit
-    ]);
-    
-    return results.rows;
+    return gtdDB.vectorSearch(embedding, options);
   }
 
   async hybridSearch(query, options) {
-    const { contexts, area, limit, vectorWeight } = options;
+    const { semanticText = query } = options;
     
     // Generate embedding
-    const embedding = await this.generateEmbedding(query);
+    const embedding = await this.generateEmbedding(semanticText);
     
     // Use hybrid search function
-    return gtdDB.hybridSearch(query, embedding, {
-      contexts,
-      vectorWeight,
-      limit
+    return gtdDB.hybridSearch(query, embedding, options);
+  }
+
+  // Facet counts for a search over its full match set. Text matches make up
+  // that set for text and hybrid searches; vector search ranks every document,
+  // so its set is the results returned, which hybrid search adds as well. A
+  // query that is all operators matches every document they allow.
+  async getFacets(query, options, results) {
+    const { type = 'hybrid', facetLimit } = options;
+    const { text, operators } = this.parseQuery(query);
+    const vector = text && type !== 'text' && this.openai !== null;
+
+    return gtdDB.getSearchFacets(text, {
+      ...options,
+      operators,
+      resultIds: vector ? results.map(result => result.id) : [],
+      lexical: !text || type !== 'vector',
+      valueLimit: facetLimit
     });
   }
 
@@ -142,6 +317,8 @@ export class GTDSearchService {
         ...result,
         attachments_count: parseInt(attachments.rows[0].count),
         links_count: parseInt(links.rows[0].count),
+        // Attachments whose extracted text matched (text and hybrid search)
+        matched_attachments: result.matched_attachments || [],
         relevance_score: result.rank || result.combined_score || result.score || 0,
         highlight: this.highlightQuery(result.snippet || result.content || '', query)
       };
@@ -212,7 +389,7 @@ export class GTDSearchService {
         SELECT 
           d.id,
           d.title,
-          array_length(d.gtd_contexts & $2::text[], 1) as common_contexts
+          (SELECT COUNT(*) FROM unnest(d.gtd_contexts) c WHERE c = ANY($2::text[]))::int as score
         FROM documents d
         WHERE 
           d.id != $1
@@ -247,10 +424,10 @@ export class GTDSearchService {
         WHERE (dl.source_document_id = $1 OR dl.target_document_id = $1)
         AND d.is_active = true
       )
-      SELECT DISTINCT ON (id)
+      SELECT 
         id,
         title,
-        MAX(COALESCE(common_contexts, 0) + COALESCE(score, 0)) as relevance
+        SUM(score)::int as relevance
       FROM (
         SELECT * FROM similar_contexts
         UNION ALL
@@ -259,7 +436,7 @@ export class GTDSearchService {
         SELECT * FROM linked_docs
       ) combined
       GROUP BY id, title
-      ORDER BY id, relevance DESC
+      ORDER BY relevance DESC, id
       LIMIT $4
     `, [documentId, doc.gtd_contexts || [], doc.gtd_project, limit]);
     
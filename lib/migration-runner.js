@@ -0,0 +1,162 @@
+/**
+ * Migration Runner
+ *
+ * Applies the SQL files in migrations/ in filename order and records each one
+ * in schema_migrations, so a deploy only runs the files it has not seen yet
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MIGRATIONS_DIR = join(__dirname, '..', 'migrations');
+
+/**
+ * Split a SQL file into statements, keeping semicolons inside quoted
+ * strings, dollar-quoted function bodies and comments intact
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    // Line comment
+    if (char === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      const stop = end === -1 ? sql.length : end;
+      current += sql.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // Quoted string or identifier
+    if (char === "'" || char === '"') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === char && sql[j + 1] === char) {
+          j += 2;
+        } else if (sql[j] === char) {
+          break;
+        } else {
+          j++;
+        }
+      }
+      current += sql.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    // Dollar-quoted body ($$ ... $$ or $tag$ ... $tag$)
+    if (char === '$') {
+      const tag = sql.slice(i).match(/^\$[A-Za-z_]*\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        const stop = end === -1 ? sql.length : end + tag[0].length;
+        current += sql.slice(i, stop);
+        i = stop;
+        continue;
+      }
+    }
+
+    if (char === ';') {
+      statements.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+    i++;
+  }
+  statements.push(current);
+
+  // Drop chunks that hold nothing but whitespace and comments
+  return statements
+    .map(s => s.trim())
+    .filter(s => s.replace(/--[^\n]*/g, '').trim().length > 0);
+}
+
+// Errors a statement gets when pgvector is not installed: the extension itself,
+// its type and its index access methods
+const PGVECTOR_MISSING = /extension "vector"|vector\.control|type "vector" does not exist|access method "(ivfflat|hnsw)" does not exist/;
+
+/**
+ * Whether a statement failed only because pgvector is missing, as opposed to
+ * some other error that mentions vectors (content_vector, vector_search, ...)
+ */
+async function isPgvectorMissing(client, error) {
+  if (!PGVECTOR_MISSING.test(error.message)) return false;
+  const installed = await client.query("SELECT 1 FROM pg_extension WHERE extname = 'vector'");
+  return installed.rowCount === 0;
+}
+
+/**
+ * List migration files in the order they should be applied
+ */
+export async function listMigrations() {
+  const files = await readdir(MIGRATIONS_DIR);
+  return files.filter(file => file.endsWith('.sql')).sort();
+}
+
+/**
+ * Apply every migration not yet recorded in schema_migrations.
+ * Each file runs in its own transaction; statements that fail because the
+ * object already exists, or because pgvector is not installed, are skipped.
+ * Any other error fails the file, which is left unrecorded to be retried.
+ */
+export async function runPendingMigrations(db, { log = console.log } = {}) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      filename VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  const applied = await db.query('SELECT filename FROM schema_migrations');
+  const appliedSet = new Set(applied.rows.map(row => row.filename));
+  const pending = (await listMigrations()).filter(file => !appliedSet.has(file));
+
+  for (const file of pending) {
+    const sql = await readFile(join(MIGRATIONS_DIR, file), 'utf8');
+    log(`📄 Applying ${file}`);
+
+    await db.transaction(async (client) => {
+      for (const statement of splitStatements(sql)) {
+        await client.query('SAVEPOINT migration_statement');
+        try {
+          await client.query(statement);
+          await client.query('RELEASE SAVEPOINT migration_statement');
+          log('✓ Executed:', summarize(statement));
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT migration_statement');
+          if (error.message.includes('already exists')) {
+            log('⏭️  Skipping (already exists):', summarize(statement));
+          } else if (await isPgvectorMissing(client, error)) {
+            log('⚠️  Skipping vector-related statement (pgvector not installed)');
+          } else {
+            throw new Error(`${file}: ${error.message}`);
+          }
+        }
+      }
+
+      await client.query(
+        'INSERT INTO schema_migrations (filename) VALUES ($1)',
+        [file]
+      );
+    });
+  }
+
+  return pending;
+}
+
+function summarize(statement) {
+  const firstLine = statement
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line && !line.startsWith('--'));
+  return `${(firstLine || '').substring(0, 50)}...`;
+}
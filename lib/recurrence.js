@@ -0,0 +1,200 @@
+/**
+ * Recurrence
+ *
+ * RFC 5545 RRULE schedules for recurring actions. Rules are expanded on the
+ * wall clock of the series' time zone, so a 09:00 weekly action stays at
+ * 09:00 on either side of a daylight saving change.
+ */
+
+import rrule from 'rrule';
+
+const { RRule } = rrule;
+
+// 'due' schedules the next instance from the last due date, 'completion'
+// from the day the last instance was done
+export const RECURRENCE_MODES = ['due', 'completion'];
+
+// Sub-hourly actions are not something a task list can keep up with
+const ALLOWED_FREQUENCIES = ['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY', 'HOURLY'];
+
+// Options RRule.parseString returns as integers or integer lists
+const INTEGER_OPTIONS = [
+  'interval', 'count', 'bysetpos', 'bymonth', 'bymonthday',
+  'byyearday', 'byweekno', 'byhour', 'byminute', 'bysecond'
+];
+
+// Stop expanding a rule after this many occurrences, so one whose dates all
+// fall on exceptions cannot spin forever
+const MAX_EXPANDED_OCCURRENCES = 100000;
+
+const wallClockFormats = new Map();
+
+/**
+ * Normalise an RRULE (with or without the "RRULE:" prefix) to its canonical
+ * text, e.g. "FREQ=WEEKLY;BYDAY=MO". Throws with a client-facing message when
+ * the rule is not one we can schedule; DTSTART and TZID come from the action.
+ */
+export function parseRule(text) {
+  const source = String(text).trim().toUpperCase().replace(/^RRULE:/, '');
+  if (source === '' || /[\r\n]/.test(source)) {
+    throw new Error('must be a single RRULE, e.g. FREQ=WEEKLY;BYDAY=MO');
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(source);
+  } catch (error) {
+    throw new Error(error.message);
+  }
+
+  if (options.freq === undefined || !ALLOWED_FREQUENCIES.includes(RRule.FREQUENCIES[options.freq])) {
+    throw new Error(`FREQ must be one of: ${ALLOWED_FREQUENCIES.join(', ')}`);
+  }
+  if (options.dtstart || /(^|;)\s*TZID=/.test(source)) {
+    throw new Error('must not set DTSTART or TZID; they come from the action');
+  }
+
+  for (const name of INTEGER_OPTIONS) {
+    if (options[name] !== undefined && ![].concat(options[name]).every(Number.isInteger)) {
+      throw new Error(`${name.toUpperCase()} must be an integer`);
+    }
+  }
+  if (options.interval !== undefined && options.interval < 1) {
+    throw new Error('INTERVAL must be at least 1');
+  }
+  if (options.count !== undefined && options.count < 1) {
+    throw new Error('COUNT must be at least 1');
+  }
+  if (options.byweekday && options.byweekday.some(day => !day)) {
+    throw new Error('BYDAY must list days as MO, TU, WE, TH, FR, SA or SU');
+  }
+
+  return RRule.optionsToString(options).replace(/^RRULE:/, '');
+}
+
+/**
+ * The wall-clock time of an instant in a time zone, as a Date whose UTC
+ * fields hold the local date and time (the form RRule expands in)
+ */
+export function toWallClock(date, timezone) {
+  if (!wallClockFormats.has(timezone)) {
+    wallClockFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    wallClockFormats.get(timezone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  return new Date(Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second),
+    date.getUTCMilliseconds()
+  ));
+}
+
+/**
+ * The instant a wall-clock time (see toWallClock) happens in a time zone.
+ * Times skipped by a daylight saving change resolve to just after it.
+ */
+export function fromWallClock(wall, timezone) {
+  const offsetAt = instant => toWallClock(instant, timezone).getTime() - instant.getTime();
+
+  const first = new Date(wall.getTime() - offsetAt(wall));
+  const second = new Date(wall.getTime() - offsetAt(first));
+  if (toWallClock(second, timezone).getTime() === wall.getTime()) return second;
+
+  return first > second ? first : second;
+}
+
+// YYYY-MM-DD of a wall-clock date
+const dateKey = wall => wall.toISOString().slice(0, 10);
+
+// The series rule anchored at a wall-clock start, optionally without COUNT
+function ruleFrom(series, startWall, { withCount = true } = {}) {
+  const options = RRule.parseString(series.rule);
+  if (!withCount) delete options.count;
+  return new RRule({ ...options, dtstart: startWall });
+}
+
+// Up to count occurrences strictly after a wall-clock time, skipping the
+// series' exception dates, as instants
+function occurrencesAfter(series, rule, afterWall, count) {
+  const exceptions = new Set(series.exceptions || []);
+  const found = [];
+
+  rule.all((wall, index) => {
+    if (wall > afterWall && !exceptions.has(dateKey(wall))) {
+      found.push(fromWallClock(wall, series.timezone));
+    }
+    return found.length < count && index < MAX_EXPANDED_OCCURRENCES;
+  });
+
+  return found;
+}
+
+/**
+ * Due date of the instance after one due at dueAt and completed at
+ * completedAt, or null when the series has ended. instanceCount is how many
+ * instances the series already has; completion mode checks COUNT against
+ * it because every completion restarts the rule.
+ */
+export function nextDueDate(series, { dueAt, completedAt, instanceCount = 1 }) {
+  const { timezone } = series;
+  const dueWall = toWallClock(new Date(dueAt || series.dtstart), timezone);
+
+  if (series.mode !== 'completion') {
+    const rule = ruleFrom(series, toWallClock(new Date(series.dtstart), timezone));
+    return occurrencesAfter(series, rule, dueWall, 1)[0] || null;
+  }
+
+  const { count } = RRule.parseString(series.rule);
+  if (count !== undefined && instanceCount >= count) return null;
+
+  // The rule restarts on the completion day, at the time of day things were due
+  const doneWall = toWallClock(new Date(completedAt), timezone);
+  const anchor = new Date(Date.UTC(
+    doneWall.getUTCFullYear(), doneWall.getUTCMonth(), doneWall.getUTCDate(),
+    dueWall.getUTCHours(), dueWall.getUTCMinutes(), dueWall.getUTCSeconds()
+  ));
+
+  const rule = ruleFrom(series, anchor, { withCount: false });
+  return occurrencesAfter(series, rule, anchor, 1)[0] || null;
+}
+
+/**
+ * The next count due dates after the instance due at dueAt. Completion mode
+ * cannot know when future instances will be done, so it assumes each one is
+ * completed on its due date.
+ */
+export function previewOccurrences(series, { dueAt, count, instanceCount = 1 }) {
+  if (series.mode !== 'completion') {
+    const { timezone } = series;
+    const rule = ruleFrom(series, toWallClock(new Date(series.dtstart), timezone));
+    return occurrencesAfter(series, rule, toWallClock(new Date(dueAt || series.dtstart), timezone), count);
+  }
+
+  const occurrences = [];
+  let current = dueAt || series.dtstart;
+
+  while (occurrences.length < count) {
+    const next = nextDueDate(series, {
+      dueAt: current,
+      completedAt: current,
+      instanceCount: instanceCount + occurrences.length
+    });
+    if (!next) break;
+
+    occurrences.push(next);
+    current = next;
+  }
+
+  return occurrences;
+}
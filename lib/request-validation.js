@@ -0,0 +1,656 @@
+/**
+ * Request Validation
+ *
+ * Declarative schemas for request bodies. Each schema is an explicit
+ * allow-list: unknown fields are rejected, values are coerced to their
+ * declared type, and every problem is reported back in one 400 response.
+ */
+
+import {
+  BULK_OPERATIONS,
+  CLARIFY_DECISIONS,
+  DOCUMENT_STATUSES,
+  ENERGY_LEVELS,
+  HORIZON_LEVELS,
+  PROJECT_STATUSES,
+  REVIEW_ITEM_TYPES,
+  TICKLED_FILTERS
+} from './gtd-database-client.js';
+import { RECURRENCE_MODES } from './recurrence.js';
+
+/**
+ * Field rule options:
+ *   type       'string' | 'integer' | 'number' | 'boolean' | 'date' | 'string[]' | 'integer[]' | 'object'
+ *   required   reject when missing
+ *   default    value used when missing
+ *   nullable   accept null
+ *   aliases    alternative input names (e.g. snake_case spellings)
+ *   trim       trim surrounding whitespace from strings
+ *   enum       allowed values
+ *   min / max  numeric bounds, or length bounds for strings and arrays
+ *   pattern    RegExp a string must match
+ *   split      false to take a plain string as one array item rather than
+ *              splitting it on commas
+ *   schema     nested schema for 'object' fields
+ *   allowUnknown on a schema's options: keep fields the schema does not list
+ */
+export function validate(schema, input, { allowUnknown = false, path = '' } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: path || 'body', message: 'must be an object' }] };
+  }
+
+  const known = new Set(
+    Object.entries(schema).flatMap(([name, rule]) => [name, ...(rule.aliases || [])])
+  );
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = path ? `${path}.${name}` : name;
+    const inputName = [name, ...(rule.aliases || [])].find(key => input[key] !== undefined);
+
+    if (inputName === undefined) {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        value[name] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      }
+      continue;
+    }
+
+    const result = coerceField(rule, input[inputName], field);
+
+    if (result.errors.length > 0) {
+      errors.push(...result.errors);
+    } else {
+      value[name] = result.value;
+    }
+  }
+
+  for (const key of Object.keys(input)) {
+    if (known.has(key)) continue;
+
+    if (allowUnknown) {
+      value[key] = input[key];
+    } else {
+      errors.push({ field: path ? `${path}.${key}` : key, message: 'is not an allowed field' });
+    }
+  }
+
+  return { value, errors };
+}
+
+function coerceField(rule, raw, field) {
+  if (raw === null) {
+    return rule.nullable
+      ? { value: null, errors: [] }
+      : { errors: [{ field, message: 'must not be null' }] };
+  }
+
+  const coerced = coerce(rule.type, raw, rule);
+  if (coerced.error) {
+    return { errors: [{ field, message: coerced.error }] };
+  }
+
+  const value = rule.trim && typeof coerced.value === 'string'
+    ? coerced.value.trim()
+    : coerced.value;
+  const errors = [];
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  const size = typeof value === 'number' ? value
+    : (typeof value === 'string' || Array.isArray(value)) ? value.length
+    : null;
+  const unit = typeof value === 'number' ? '' : typeof value === 'string' ? ' characters' : ' items';
+
+  if (size !== null && rule.min !== undefined && size < rule.min) {
+    errors.push({
+      field,
+      message: typeof value === 'number' ? `must be at least ${rule.min}`
+        : size === 0 ? 'must not be empty'
+        : `must have at least ${rule.min}${unit}`
+    });
+  }
+  if (size !== null && rule.max !== undefined && size > rule.max) {
+    errors.push({
+      field,
+      message: typeof value === 'number' ? `must be at most ${rule.max}` : `must have at most ${rule.max}${unit}`
+    });
+  }
+
+  if (rule.pattern) {
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item, index) => {
+      if (typeof item === 'string' && !rule.pattern.test(item)) {
+        errors.push({
+          field: Array.isArray(value) ? `${field}[${index}]` : field,
+          message: rule.patternMessage || `must match ${rule.pattern}`
+        });
+      }
+    });
+  }
+
+  if (rule.type === 'object' && rule.schema) {
+    const nested = validate(rule.schema, value, { allowUnknown: rule.allowUnknown, path: field });
+    return { value: nested.value, errors: [...errors, ...nested.errors] };
+  }
+
+  return { value, errors };
+}
+
+function coerce(type, raw, { split = true } = {}) {
+  switch (type) {
+    case 'string':
+      if (typeof raw === 'string') return { value: raw };
+      if (typeof raw === 'number' || typeof raw === 'boolean') return { value: String(raw) };
+      return { error: 'must be a string' };
+
+    case 'integer': {
+      const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof number === 'number' && Number.isInteger(number)) return { value: number };
+      return { error: 'must be an integer' };
+    }
+
+    case 'number': {
+      const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof number === 'number' && Number.isFinite(number)) return { value: number };
+      return { error: 'must be a number' };
+    }
+
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === '1' || raw === 1) return { value: true };
+      if (raw === 'false' || raw === '0' || raw === 0) return { value: false };
+      return { error: 'must be a boolean' };
+
+    case 'date': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a date' };
+      const date = new Date(raw);
+      if (isNaN(date.getTime())) return { error: 'must be a valid date' };
+      return { value: date };
+    }
+
+    case 'string[]': {
+      const items = typeof raw !== 'string' ? raw : split ? raw.split(',') : [raw];
+      if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        return { error: 'must be an array of strings' };
+      }
+      return { value: items.map(item => item.trim()).filter(Boolean) };
+    }
+
+    case 'integer[]': {
+      const items = typeof raw === 'string' ? raw.split(',') : raw;
+      if (!Array.isArray(items)) return { error: 'must be an array of integers' };
+      const numbers = items.map(item => typeof item === 'string' ? Number(item) : item);
+      if (numbers.some(item => !Number.isInteger(item))) {
+        return { error: 'must be an array of integers' };
+      }
+      return { value: numbers };
+    }
+
+    case 'object':
+      if (typeof raw === 'object' && !Array.isArray(raw)) return { value: raw };
+      return { error: 'must be an object' };
+
+    default:
+      throw new Error(`Unknown schema type: ${type}`);
+  }
+}
+
+/**
+ * Express middleware: validate req.body against a schema, replace it with
+ * the coerced value, or answer 400 with every invalid field
+ */
+export function validateBody(schema, options = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body || {}, options);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+/**
+ * Same as validateBody, for query string parameters
+ */
+export function validateQuery(schema, options = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.query || {}, options);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    req.query = value;
+    next();
+  };
+}
+
+// Shared field rules
+const contextsRule = {
+  type: 'string[]',
+  max: 50,
+  pattern: /^@[^\s,]{1,99}$/,
+  patternMessage: 'contexts must start with @ and contain no spaces or commas'
+};
+
+const documentFields = {
+  title: { type: 'string', trim: true, min: 1, max: 1000 },
+  content: { type: 'string', nullable: true, max: 5000000 },
+  gtdContexts: { ...contextsRule, aliases: ['gtd_contexts', 'contexts'] },
+  gtdProject: { type: 'string', trim: true, nullable: true, max: 255, aliases: ['gtd_project', 'project'] },
+  gtdArea: { type: 'string', trim: true, nullable: true, max: 255, aliases: ['gtd_area', 'area'] },
+  gtdStatus: { type: 'string', trim: true, enum: DOCUMENT_STATUSES, aliases: ['gtd_status', 'status'] },
+  tickleAt: { type: 'date', nullable: true, aliases: ['tickle_at', 'tickler_date'] },
+  metadata: { type: 'object' }
+};
+
+// Filters shared by listing-style endpoints
+const documentFilterFields = {
+  query: { type: 'string', max: 1000 },
+  tickled: { type: 'string', enum: TICKLED_FILTERS },
+  status: { type: 'string', enum: DOCUMENT_STATUSES },
+  project: { type: 'string', max: 255 },
+  area: { type: 'string', max: 255 },
+  sourceType: { type: 'string', max: 50, aliases: ['source_type'] },
+  contexts: contextsRule,
+  createdAfter: { type: 'date', aliases: ['created_after'] },
+  createdBefore: { type: 'date', aliases: ['created_before'] },
+  updatedAfter: { type: 'date', aliases: ['updated_after'] },
+  updatedBefore: { type: 'date', aliases: ['updated_before'] }
+};
+
+// An RRULE schedule; the rule itself is checked by recurrence.parseRule
+const recurrenceFields = {
+  rule: { type: 'string', trim: true, min: 1, max: 1000, aliases: ['rrule'] },
+  mode: { type: 'string', enum: RECURRENCE_MODES, aliases: ['from'] },
+  timezone: { type: 'string', max: 100, aliases: ['tz'] },
+  exceptions: {
+    type: 'string[]',
+    max: 1000,
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    patternMessage: 'must be a date (YYYY-MM-DD)',
+    aliases: ['exdates']
+  }
+};
+
+const actionFields = {
+  documentId: { type: 'integer', nullable: true, min: 1, aliases: ['document_id'] },
+  title: { type: 'string', trim: true, min: 1, max: 1000 },
+  notes: { type: 'string', nullable: true, max: 100000 },
+  contexts: { ...contextsRule, aliases: ['gtd_contexts'] },
+  project: { type: 'string', trim: true, nullable: true, max: 255 },
+  projectId: { type: 'integer', nullable: true, min: 1, aliases: ['project_id'] },
+  area: { type: 'string', trim: true, nullable: true, max: 255 },
+  dueAt: { type: 'date', nullable: true, aliases: ['due_at', 'due'] },
+  deferUntil: { type: 'date', nullable: true, aliases: ['defer_until', 'start_at'] },
+  timeEstimate: {
+    type: 'integer',
+    nullable: true,
+    min: 1,
+    max: 10080,
+    aliases: ['time_estimate', 'time_estimate_minutes']
+  },
+  energy: { type: 'string', nullable: true, enum: ENERGY_LEVELS },
+  priority: { type: 'integer', min: 1, max: 5 },
+  completedAt: { type: 'date', nullable: true, aliases: ['completed_at'] },
+  blockedBy: { type: 'integer[]', nullable: true, max: 100, aliases: ['blocked_by', 'depends_on'] },
+  delegatee: { type: 'string', trim: true, nullable: true, min: 1, max: 255, aliases: ['waiting_for', 'waiting_on'] },
+  delegatedAt: { type: 'date', nullable: true, aliases: ['delegated_at', 'delegated_on'] },
+  followUpAt: { type: 'date', nullable: true, aliases: ['follow_up_at', 'follow_up'] },
+  recurrence: { type: 'object', nullable: true, schema: recurrenceFields },
+  metadata: { type: 'object' }
+};
+
+// Handing an action to someone else
+const delegationFields = {
+  delegatee: { ...actionFields.delegatee, required: true, nullable: false },
+  delegatedAt: { ...actionFields.delegatedAt, nullable: false, default: () => new Date() },
+  followUpAt: actionFields.followUpAt
+};
+
+const projectFields = {
+  name: { type: 'string', trim: true, min: 1, max: 255 },
+  desiredOutcome: { type: 'string', nullable: true, max: 10000, aliases: ['desired_outcome', 'outcome'] },
+  status: { type: 'string', enum: PROJECT_STATUSES },
+  area: { type: 'string', trim: true, nullable: true, max: 255 },
+  nextReviewAt: { type: 'date', nullable: true, aliases: ['next_review_at', 'reviewDate', 'review_date'] },
+  horizonId: { type: 'integer', nullable: true, min: 1, aliases: ['horizon_id'] },
+  metadata: { type: 'object' }
+};
+
+const horizonFields = {
+  level: { type: 'string', enum: HORIZON_LEVELS },
+  name: { type: 'string', trim: true, min: 1, max: 255 },
+  description: { type: 'string', nullable: true, max: 10000 },
+  parentId: { type: 'integer', nullable: true, min: 1, aliases: ['parent_id'] },
+  metadata: { type: 'object' }
+};
+
+const timeOfDayRule = {
+  type: 'string',
+  nullable: true,
+  pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+  patternMessage: 'must be a time of day (HH:MM)'
+};
+
+const contextFields = {
+  name: {
+    type: 'string',
+    trim: true,
+    pattern: contextsRule.pattern,
+    patternMessage: 'must start with @ and contain no spaces or commas'
+  },
+  description: { type: 'string', nullable: true, max: 10000 },
+  parentId: { type: 'integer', nullable: true, min: 1, aliases: ['parent_id', 'parent'] },
+  availableDays: { type: 'integer[]', max: 7, aliases: ['available_days', 'days'] },
+  availableFrom: { ...timeOfDayRule, aliases: ['available_from', 'from'] },
+  availableUntil: { ...timeOfDayRule, aliases: ['available_until', 'until'] },
+  timezone: { type: 'string', max: 100, aliases: ['tz'] },
+  latitude: { type: 'number', nullable: true, min: -90, max: 90, aliases: ['lat'] },
+  longitude: { type: 'number', nullable: true, min: -180, max: 180, aliases: ['lng', 'lon'] },
+  radiusMeters: { type: 'integer', nullable: true, min: 1, max: 1000000, aliases: ['radius_meters', 'radius'] },
+  metadata: { type: 'object' }
+};
+
+const linkFields = {
+  linkType: {
+    type: 'string',
+    trim: true,
+    max: 50,
+    pattern: /^[a-z][a-z0-9_-]*$/,
+    patternMessage: 'must be lowercase letters, digits, dashes or underscores',
+    aliases: ['link_type']
+  },
+  linkText: { type: 'string', nullable: true, max: 1000, aliases: ['link_text'] },
+  linkContext: { type: 'string', nullable: true, max: 5000, aliases: ['link_context'] }
+};
+
+export const schemas = {
+  documentCreate: {
+    ...documentFields,
+    title: { ...documentFields.title, required: true },
+    sourceType: { type: 'string', max: 50, aliases: ['source_type'] }
+  },
+
+  documentUpdate: documentFields,
+
+  // Webhook payloads are free-form, so unknown fields pass through into metadata
+  capture: {
+    title: { type: 'string', trim: true, max: 1000 },
+    content: { type: 'string', max: 5000000 },
+    text: { type: 'string', max: 5000000 },
+    contexts: contextsRule,
+    metadata: { type: 'object' }
+  },
+
+  search: {
+    query: { type: 'string', required: true, min: 1, max: 1000 },
+    type: { type: 'string', enum: ['text', 'vector', 'hybrid'], default: 'hybrid' },
+    filters: {
+      type: 'object',
+      default: () => ({}),
+      // Every search mode applies these alike; several values of project,
+      // area, status or sourceType are alternatives, and a plain string is
+      // one value (names may contain commas)
+      schema: {
+        contexts: contextsRule,
+        contextsMatch: { type: 'string', enum: ['any', 'all'], default: 'any', aliases: ['contexts_match'] },
+        project: { type: 'string[]', max: 50, split: false },
+        area: { type: 'string[]', max: 50, split: false },
+        status: {
+          type: 'string[]',
+          max: 50,
+          pattern: new RegExp(`^(${DOCUMENT_STATUSES.join('|')})$`, 'i'),
+          patternMessage: `must be one of: ${DOCUMENT_STATUSES.join(', ')}`
+        },
+        sourceType: { type: 'string[]', max: 50, split: false, aliases: ['source_type'] },
+        createdAfter: { type: 'date', aliases: ['created_after'] },
+        createdBefore: { type: 'date', aliases: ['created_before'] },
+        updatedAfter: { type: 'date', aliases: ['updated_after'] },
+        updatedBefore: { type: 'date', aliases: ['updated_before'] },
+        hasAttachment: { type: 'boolean', aliases: ['has_attachment'] },
+        limit: { type: 'integer', min: 1, max: 200 },
+        vectorWeight: { type: 'number', min: 0, max: 1, aliases: ['vector_weight'] }
+      }
+    },
+    // Selected facet values, keyed as in the response's facets
+    facets: {
+      type: 'object',
+      schema: {
+        contexts: contextsRule,
+        project: { type: 'string[]', max: 50 },
+        area: { type: 'string[]', max: 50 },
+        source_type: { type: 'string[]', max: 50, aliases: ['sourceType'] },
+        status: { type: 'string[]', max: 50 },
+        created_year: { type: 'integer[]', max: 50, aliases: ['createdYear', 'year'] }
+      }
+    },
+    facetLimit: { type: 'integer', min: 1, max: 100, aliases: ['facet_limit'] }
+  },
+
+  documentBulk: {
+    ids: { type: 'integer[]', min: 1, max: 1000 },
+    filter: { type: 'object', schema: documentFilterFields },
+    operation: { type: 'string', required: true, enum: BULK_OPERATIONS },
+    contexts: contextsRule,
+    value: { type: 'string', trim: true, nullable: true, max: 255 },
+    allOrNothing: { type: 'boolean', default: false, aliases: ['all_or_nothing'] }
+  },
+
+  linkCreate: {
+    targetId: { type: 'integer', required: true, min: 1, aliases: ['target_id', 'target_document_id'] },
+    ...linkFields
+  },
+
+  linkUpdate: linkFields,
+
+  actionCreate: {
+    ...actionFields,
+    title: { ...actionFields.title, required: true },
+    recurrence: {
+      ...actionFields.recurrence,
+      schema: { ...recurrenceFields, rule: { ...recurrenceFields.rule, required: true } }
+    }
+  },
+
+  actionUpdate: actionFields,
+
+  actionQuery: {
+    status: { type: 'string', enum: ['open', 'completed', 'all'], default: 'open' },
+    available: { type: 'boolean', default: false },
+    waiting: { type: 'boolean' },
+    documentId: { type: 'integer', min: 1, aliases: ['document_id'] },
+    contexts: contextsRule,
+    project: { type: 'string', max: 255 },
+    projectId: { type: 'integer', min: 1, aliases: ['project_id'] },
+    area: { type: 'string', max: 255 },
+    energy: { type: 'string', enum: ENERGY_LEVELS },
+    dueBefore: { type: 'date', aliases: ['due_before'] },
+    dueAfter: { type: 'date', aliases: ['due_after'] },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+    offset: { type: 'integer', min: 0, default: 0 }
+  },
+
+  actionOccurrencesQuery: {
+    count: { type: 'integer', min: 1, max: 100, default: 5, aliases: ['limit'] }
+  },
+
+  waitingForCreate: {
+    ...actionFields,
+    title: { ...actionFields.title, required: true },
+    ...delegationFields
+  },
+
+  waitingForQuery: {
+    delegatee: { type: 'string', max: 255, aliases: ['waiting_for', 'waiting_on'] },
+    project: { type: 'string', max: 255 },
+    overdue: { type: 'boolean', default: false },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+    offset: { type: 'integer', min: 0, default: 0 }
+  },
+
+  actionDelegate: delegationFields,
+
+  reviewStart: {
+    notes: { type: 'string', nullable: true, max: 10000 }
+  },
+
+  reviewQuery: {
+    status: { type: 'string', enum: ['in_progress', 'completed', 'abandoned'] },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+    offset: { type: 'integer', min: 0, default: 0 }
+  },
+
+  reviewStepUpdate: {
+    status: { type: 'string', enum: ['pending', 'in_progress', 'done', 'skipped'] },
+    notes: { type: 'string', nullable: true, max: 10000 }
+  },
+
+  reviewItemMark: {
+    type: { type: 'string', required: true, enum: REVIEW_ITEM_TYPES, aliases: ['item_type'] },
+    id: { type: 'integer', required: true, min: 1, aliases: ['item_id'] },
+    notes: { type: 'string', nullable: true, max: 10000 }
+  },
+
+  reviewComplete: {
+    notes: { type: 'string', nullable: true, max: 10000 },
+    force: { type: 'boolean', default: false }
+  },
+
+  inboxQuery: {
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+    offset: { type: 'integer', min: 0, default: 0 }
+  },
+
+  // One GTD decision on an inbox item; which options apply depends on the decision
+  inboxClarify: {
+    decision: { type: 'string', required: true, enum: CLARIFY_DECISIONS },
+    title: { ...actionFields.title, aliases: ['name'] },
+    notes: actionFields.notes,
+    contexts: actionFields.contexts,
+    project: actionFields.project,
+    projectId: actionFields.projectId,
+    area: actionFields.area,
+    folder: { type: 'string', trim: true, min: 1, max: 255 },
+    tickleAt: { type: 'date', aliases: ['tickle_at', 'tickler_date'] },
+    dueAt: actionFields.dueAt,
+    deferUntil: actionFields.deferUntil,
+    timeEstimate: actionFields.timeEstimate,
+    energy: actionFields.energy,
+    priority: actionFields.priority,
+    delegatee: actionFields.delegatee,
+    followUpAt: actionFields.followUpAt,
+    desiredOutcome: projectFields.desiredOutcome,
+    nextAction: {
+      type: 'object',
+      aliases: ['next_action'],
+      schema: {
+        title: { ...actionFields.title, required: true },
+        notes: actionFields.notes,
+        contexts: actionFields.contexts,
+        dueAt: actionFields.dueAt,
+        deferUntil: actionFields.deferUntil,
+        timeEstimate: actionFields.timeEstimate,
+        energy: actionFields.energy,
+        priority: actionFields.priority
+      }
+    }
+  },
+
+  // What a received waiting-for item turns into
+  waitingForReceived: {
+    outcome: { type: 'string', enum: ['complete', 'next_action'], default: 'complete', aliases: ['then'] }
+  },
+
+  ticklerQuery: {
+    month: {
+      type: 'string',
+      pattern: /^\d{4}-(0[1-9]|1[0-2])$/,
+      patternMessage: 'must be a month (YYYY-MM)'
+    },
+    timezone: { type: 'string', max: 100, aliases: ['tz'] }
+  },
+
+  agendaQuery: {
+    timezone: { type: 'string', max: 100, aliases: ['tz'] },
+    format: { type: 'string', enum: ['json', 'markdown', 'text'] },
+    perContext: { type: 'integer', min: 1, max: 20, default: 3, aliases: ['per_context'] }
+  },
+
+  engageQuery: {
+    contexts: { ...contextsRule, aliases: ['context'] },
+    minutes: { type: 'integer', min: 1, max: 1440, aliases: ['time', 'available_minutes'] },
+    energy: { type: 'string', enum: ENERGY_LEVELS },
+    limit: { type: 'integer', min: 1, max: 100, default: 20 }
+  },
+
+  projectCreate: {
+    ...projectFields,
+    name: { ...projectFields.name, required: true }
+  },
+
+  projectUpdate: projectFields,
+
+  projectQuery: {
+    status: { type: 'string', enum: PROJECT_STATUSES },
+    area: { type: 'string', max: 255 },
+    reviewDue: { type: 'boolean', default: false, aliases: ['review_due'] }
+  },
+
+  stalledProjectsQuery: {
+    area: { type: 'string', max: 255 }
+  },
+
+  horizonCreate: {
+    ...horizonFields,
+    level: { ...horizonFields.level, required: true },
+    name: { ...horizonFields.name, required: true }
+  },
+
+  horizonUpdate: horizonFields,
+
+  horizonQuery: {
+    level: { type: 'string', enum: HORIZON_LEVELS },
+    parentId: { type: 'integer', min: 1, aliases: ['parent_id'] }
+  },
+
+  horizonTreeQuery: {
+    includeProjects: { type: 'boolean', default: false, aliases: ['include_projects'] }
+  },
+
+  contextCreate: {
+    ...contextFields,
+    name: { ...contextFields.name, required: true }
+  },
+
+  contextUpdate: contextFields,
+
+  contextQuery: {
+    at: { type: 'date', aliases: ['available_at'] },
+    available: { type: 'boolean' },
+    latitude: { type: 'number', min: -90, max: 90, aliases: ['lat'] },
+    longitude: { type: 'number', min: -180, max: 180, aliases: ['lng', 'lon'] },
+    parentId: { type: 'integer', min: 1, aliases: ['parent_id'] }
+  },
+
+  contextMerge: {
+    contexts: { ...contextsRule, required: true, min: 1, aliases: ['from', 'sources'] }
+  },
+
+  embeddingsProcess: {
+    batchSize: { type: 'integer', min: 1, max: 100, default: 10, aliases: ['batch_size'] }
+  },
+
+  trashPurge: {
+    older_than_days: { type: 'integer', min: 0 }
+  }
+};
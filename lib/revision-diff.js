@@ -0,0 +1,182 @@
+/**
+ * Revision Diff
+ *
+ * Field-level comparison of two document revisions, with a word-level
+ * text diff for title and content
+ */
+
+// Fields snapshotted by the document_revisions trigger
+export const REVISION_FIELDS = [
+  'title',
+  'content',
+  'gtd_contexts',
+  'gtd_project',
+  'gtd_area',
+  'gtd_status',
+  'metadata'
+];
+
+const TEXT_FIELDS = new Set(['title', 'content']);
+
+// Past this many edits the diff is reported as a whole-field replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Compare two revision rows and describe every field that differs
+ */
+export function diffRevisions(from, to) {
+  const changes = [];
+
+  for (const field of REVISION_FIELDS) {
+    const before = from[field] ?? null;
+    const after = to[field] ?? null;
+
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    const change = { field, before, after };
+
+    if (TEXT_FIELDS.has(field)) {
+      change.diff = diffText(before || '', after || '');
+    } else if (field === 'gtd_contexts') {
+      const beforeSet = new Set(before || []);
+      const afterSet = new Set(after || []);
+      change.added = [...afterSet].filter(c => !beforeSet.has(c));
+      change.removed = [...beforeSet].filter(c => !afterSet.has(c));
+    }
+
+    changes.push(change);
+  }
+
+  return {
+    from: from.revision_number,
+    to: to.revision_number,
+    changed_fields: changes.map(change => change.field),
+    changes
+  };
+}
+
+/**
+ * Word-level diff of two strings.
+ * Returns runs of { type: 'equal' | 'insert' | 'delete', value }.
+ */
+export function diffText(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Trim the common prefix and suffix so the edit search only sees the changed region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  if (start > 0) ops.push({ type: 'equal', value: a.slice(0, start).join('') });
+
+  const middle = shortestEditScript(a.slice(start, endA), b.slice(start, endB));
+  if (middle) {
+    ops.push(...middle);
+  } else {
+    ops.push({ type: 'delete', value: a.slice(start, endA).join('') });
+    ops.push({ type: 'insert', value: b.slice(start, endB).join('') });
+  }
+
+  if (endA < a.length) ops.push({ type: 'equal', value: a.slice(endA).join('') });
+
+  return mergeRuns(ops.filter(op => op.value.length > 0));
+}
+
+function tokenize(text) {
+  return text.split(/(\s+)/).filter(token => token.length > 0);
+}
+
+/**
+ * Myers' O((N+M)D) shortest edit script. Returns null if the edit
+ * distance exceeds MAX_EDIT_DISTANCE.
+ */
+function shortestEditScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 && m === 0) return [];
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Keep only the diagonals reachable at this distance
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', value: b[prevY] });
+      } else {
+        ops.push({ type: 'delete', value: a[prevX] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+function mergeRuns(ops) {
+  const merged = [];
+  for (const op of ops) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      merged.push({ ...op });
+    }
+  }
+  return merged;
+}
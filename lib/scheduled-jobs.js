@@ -0,0 +1,102 @@
+/**
+ * Scheduled Jobs
+ *
+ * Minimal in-process interval scheduler for maintenance tasks such as the
+ * trash purge. A job never overlaps with its own previous run, and timers are
+ * unref'd so they do not keep the process alive on shutdown.
+ */
+
+const jobs = new Map();
+
+// Longest delay setInterval honours; Node runs anything longer, and anything
+// not a positive number, every millisecond
+export const MAX_INTERVAL_MS = 2 ** 31 - 1;
+
+/**
+ * Interval in milliseconds from an env setting given in units of unitMs, e.g.
+ * intervalFromEnv('TICKLER_INTERVAL_MINUTES', 15, 60 * 1000). Null when the
+ * setting is 0, which disables the job, or when it is not a usable interval,
+ * which also disables it with a warning.
+ */
+export function intervalFromEnv(name, fallback, unitMs) {
+  const raw = process.env[name] ?? String(fallback);
+  const value = Number(raw.trim() || fallback);
+  if (value === 0) return null;
+
+  const intervalMs = value * unitMs;
+  if (!(intervalMs > 0 && intervalMs <= MAX_INTERVAL_MS)) {
+    console.warn(`⚠️  ${name}=${raw} is not a usable interval; the job is disabled`);
+    return null;
+  }
+  return intervalMs;
+}
+
+/**
+ * Register a job to run every intervalMs. Runs once immediately when
+ * runOnStart is set.
+ */
+export function scheduleJob(name, intervalMs, task, { runOnStart = false } = {}) {
+  if (jobs.has(name)) {
+    throw new Error(`Job already scheduled: ${name}`);
+  }
+  if (!(intervalMs > 0 && intervalMs <= MAX_INTERVAL_MS)) {
+    throw new Error(`Invalid interval for job ${name}: ${intervalMs}`);
+  }
+
+  const job = {
+    name,
+    intervalMs,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null,
+    timer: null
+  };
+
+  job.run = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      job.lastResult = await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`❌ Scheduled job ${name} failed:`, error.message);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+    return job.lastResult;
+  };
+
+  job.timer = setInterval(job.run, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (runOnStart) {
+    job.run();
+  }
+
+  return job;
+}
+
+/**
+ * Status of every registered job, for diagnostics endpoints
+ */
+export function getJobStatus() {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) => ({
+    name,
+    interval_ms: intervalMs,
+    running,
+    last_run_at: lastRunAt,
+    last_result: lastResult,
+    last_error: lastError
+  }));
+}
+
+export function stopAllJobs() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+  }
+  jobs.clear();
+}
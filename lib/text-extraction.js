@@ -0,0 +1,187 @@
+/**
+ * Text Extraction
+ *
+ * Pulls searchable text out of attachment bytes (PDF, DOCX, HTML, plain text
+ * and Markdown) into attachments.extracted_text. Uploads are extracted right
+ * away; imports and retries go through the pending queue.
+ */
+
+import { extname } from 'path';
+import pdfParse from 'pdf-parse';
+import mammoth from 'mammoth';
+import sanitizeHtml from 'sanitize-html';
+import { gtdDB } from './gtd-database-client.js';
+import { attachmentStorage } from './attachment-storage.js';
+
+// Keeps the generated tsvector well under PostgreSQL's 1MB limit
+const MAX_EXTRACTED_CHARS = 500000;
+const MAX_EXTRACTION_BYTES = 50 * 1024 * 1024;
+const MAX_ATTEMPTS = 3;
+
+const FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.text': 'text',
+  '.log': 'text'
+};
+
+const FORMATS_BY_MIME = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text'
+};
+
+export const SUPPORTED_FORMATS = ['pdf', 'docx', 'html', 'markdown', 'text'];
+
+/**
+ * Format of a file, or null when it is not extractable. The extension wins
+ * over the MIME type, since uploads often arrive as text/plain or
+ * application/octet-stream regardless of what they are.
+ */
+export function detectFormat(filename, mimeType) {
+  const byExtension = FORMATS_BY_EXTENSION[extname(filename || '').toLowerCase()];
+  if (byExtension) return byExtension;
+
+  const mime = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return FORMATS_BY_MIME[mime] || null;
+}
+
+const extractors = {
+  async pdf(buffer) {
+    // The bundled pdf.js reads the whole underlying ArrayBuffer, which for
+    // small pooled Buffers starts at some other allocation, so pass a copy
+    const result = await pdfParse(new Uint8Array(buffer));
+    return result.text;
+  },
+
+  async docx(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+  },
+
+  async html(buffer) {
+    // Keep block boundaries as line breaks so words do not run together
+    const html = decodeText(buffer)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h[1-6]|section|article|blockquote|pre)>/gi, '$&\n');
+
+    return sanitizeHtml(html, {
+      allowedTags: [],
+      allowedAttributes: {},
+      nonTextTags: ['style', 'script', 'textarea', 'option', 'noscript', 'title', 'head']
+    });
+  },
+
+  async markdown(buffer) {
+    return decodeText(buffer)
+      .replace(/^```.*$/gm, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/(\*\*|__|~~|`)/g, '');
+  },
+
+  async text(buffer) {
+    return decodeText(buffer);
+  }
+};
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function normalizeText(text) {
+  return (text || '')
+    .replace(/\u0000/g, '')
+    .replace(/[ \t\f\v\r]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_EXTRACTED_CHARS);
+}
+
+/**
+ * Extract text from a buffer. Returns { format, text }, or null when the
+ * format is not supported.
+ */
+export async function extractText(buffer, { filename, mimeType } = {}) {
+  const format = detectFormat(filename, mimeType);
+  if (!format) return null;
+
+  const text = await extractors[format](buffer);
+  return { format, text: normalizeText(text) };
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export class AttachmentTextExtractor {
+  /**
+   * Extract one attachment and record the outcome. Never throws for
+   * extraction problems; they are stored on the attachment instead.
+   */
+  async extractAttachment(attachment) {
+    const format = detectFormat(attachment.filename, attachment.file_type);
+
+    if (!format || !attachmentStorage.isStored(attachment.storage_path)) {
+      return gtdDB.saveAttachmentExtraction(attachment.id, { status: 'unsupported' });
+    }
+
+    try {
+      if (Number(attachment.file_size) > MAX_EXTRACTION_BYTES) {
+        throw new Error(`File is larger than ${MAX_EXTRACTION_BYTES} bytes`);
+      }
+
+      const buffer = await readStream(await attachmentStorage.open(attachment.storage_path));
+      const { text } = await extractText(buffer, {
+        filename: attachment.filename,
+        mimeType: attachment.file_type
+      });
+
+      return gtdDB.saveAttachmentExtraction(attachment.id, { status: 'done', text: text || null });
+    } catch (error) {
+      console.error(`❌ Text extraction failed for attachment ${attachment.id}:`, error.message);
+
+      // Retried by the queue until it has failed MAX_ATTEMPTS times
+      const attempts = (attachment.extraction_attempts || 0) + 1;
+      return gtdDB.saveAttachmentExtraction(attachment.id, {
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        error: error.message,
+        attempts
+      });
+    }
+  }
+
+  async processQueue(batchSize = 10) {
+    const attachments = await gtdDB.getAttachmentsPendingExtraction(batchSize);
+    const stats = { processed: 0, failed: 0, unsupported: 0 };
+
+    for (const attachment of attachments) {
+      const result = await this.extractAttachment(attachment);
+
+      if (result.extraction_status === 'done') stats.processed++;
+      else if (result.extraction_status === 'unsupported') stats.unsupported++;
+      else stats.failed++;
+    }
+
+    return stats;
+  }
+}
+
+export const textExtractor = new AttachmentTextExtractor();
+export default AttachmentTextExtractor;
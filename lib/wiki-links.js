@@ -0,0 +1,55 @@
+/**
+ * Wiki Links
+ *
+ * Parses [[Title]], [[Title|label]] and [[#123]] references out of document
+ * content so document_links can be kept in step with what the text says
+ */
+
+const WIKI_LINK_PATTERN = /\[\[([^\[\]\n|]+?)(?:\|([^\[\]\n]+?))?\]\]/g;
+
+// Characters of surrounding text stored as link_context
+const CONTEXT_RADIUS = 80;
+
+// documents.id is an integer column; larger [[#id]] refs can never resolve
+const MAX_DOCUMENT_ID = 2147483647;
+
+/**
+ * Extract wiki links from content, one entry per distinct target.
+ * Each link has either targetId (for [[#123]]) or title, plus the
+ * normalized ref used to track it while unresolved. An id too large for
+ * documents.id has neither and is kept as an unresolved ref.
+ */
+export function extractWikiLinks(content) {
+  if (!content) return [];
+
+  const links = new Map();
+
+  for (const match of content.matchAll(WIKI_LINK_PATTERN)) {
+    const target = match[1].trim();
+    if (!target) continue;
+
+    const idMatch = target.match(/^#(\d+)$/);
+    const id = idMatch && idMatch[1].replace(/^0+(?=\d)/, '');
+    const ref = idMatch ? `#${id}` : target.toLowerCase();
+    if (links.has(ref)) continue;
+
+    const targetId = idMatch && Number(id) <= MAX_DOCUMENT_ID ? Number(id) : null;
+
+    links.set(ref, {
+      ref,
+      targetId,
+      title: idMatch ? null : target,
+      text: (match[2] || target).trim(),
+      context: surroundingText(content, match.index, match[0].length)
+    });
+  }
+
+  return [...links.values()];
+}
+
+function surroundingText(content, index, length) {
+  const start = Math.max(0, index - CONTEXT_RADIUS);
+  const end = Math.min(content.length, index + length + CONTEXT_RADIUS);
+
+  return `${start > 0 ? '…' : ''}${content.slice(start, end).replace(/\s+/g, ' ').trim()}${end < content.length ? '…' : ''}`;
+}
@@ -0,0 +1,82 @@
+-- Document revision history
+-- Every insert or content-changing update on documents is snapshotted here by trigger,
+-- so API edits, Evernote re-imports and restores all leave a trail
+
+CREATE TABLE IF NOT EXISTS document_revisions (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+
+  -- Snapshot of the tracked document fields
+  title TEXT,
+  content TEXT,
+  gtd_contexts TEXT[],
+  gtd_project VARCHAR(255),
+  gtd_area VARCHAR(255),
+  gtd_status VARCHAR(50),
+  metadata JSONB,
+
+  changed_fields TEXT[] DEFAULT '{}',
+  change_source VARCHAR(50) DEFAULT 'api', -- 'api', 'evernote', 'restore', 'backfill'
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(document_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_revisions_document ON document_revisions(document_id, revision_number DESC);
+
+-- Snapshot trigger. The writer can tag the change with
+-- SELECT set_config('gtd.change_source', '<source>', true) inside its transaction.
+CREATE OR REPLACE FUNCTION record_document_revision()
+RETURNS TRIGGER AS $$
+DECLARE
+  changed TEXT[] := '{}';
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    IF NEW.title IS DISTINCT FROM OLD.title THEN changed := changed || 'title'::text; END IF;
+    IF NEW.content IS DISTINCT FROM OLD.content THEN changed := changed || 'content'::text; END IF;
+    IF NEW.gtd_contexts IS DISTINCT FROM OLD.gtd_contexts THEN changed := changed || 'gtd_contexts'::text; END IF;
+    IF NEW.gtd_project IS DISTINCT FROM OLD.gtd_project THEN changed := changed || 'gtd_project'::text; END IF;
+    IF NEW.gtd_area IS DISTINCT FROM OLD.gtd_area THEN changed := changed || 'gtd_area'::text; END IF;
+    IF NEW.gtd_status IS DISTINCT FROM OLD.gtd_status THEN changed := changed || 'gtd_status'::text; END IF;
+    IF NEW.metadata IS DISTINCT FROM OLD.metadata THEN changed := changed || 'metadata'::text; END IF;
+
+    -- Nothing worth a revision (e.g. embedding or processed_at updates)
+    IF array_length(changed, 1) IS NULL THEN
+      RETURN NULL;
+    END IF;
+  ELSE
+    changed := ARRAY['title', 'content', 'gtd_contexts', 'gtd_project', 'gtd_area', 'gtd_status', 'metadata'];
+  END IF;
+
+  INSERT INTO document_revisions
+    (document_id, revision_number, title, content, gtd_contexts, gtd_project,
+     gtd_area, gtd_status, metadata, changed_fields, change_source)
+  SELECT
+    NEW.id,
+    COALESCE(MAX(r.revision_number), 0) + 1,
+    NEW.title, NEW.content, NEW.gtd_contexts, NEW.gtd_project,
+    NEW.gtd_area, NEW.gtd_status, NEW.metadata, changed,
+    COALESCE(NULLIF(current_setting('gtd.change_source', true), ''), 'api')
+  FROM document_revisions r
+  WHERE r.document_id = NEW.id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_documents_revision ON documents;
+
+CREATE TRIGGER record_documents_revision AFTER INSERT OR UPDATE ON documents
+    FOR EACH ROW EXECUTE FUNCTION record_document_revision();
+
+-- Existing documents start with their current state as revision 1
+INSERT INTO document_revisions
+  (document_id, revision_number, title, content, gtd_contexts, gtd_project,
+   gtd_area, gtd_status, metadata, change_source, created_at)
+SELECT
+  d.id, 1, d.title, d.content, d.gtd_contexts, d.gtd_project,
+  d.gtd_area, d.gtd_status, d.metadata, 'backfill', COALESCE(d.updated_at, d.created_at, NOW())
+FROM documents d
+WHERE NOT EXISTS (
+  SELECT 1 FROM document_revisions r WHERE r.document_id = d.id
+);
@@ -0,0 +1,13 @@
+-- Trash support for soft-deleted documents
+-- deleted_at records when a document entered the trash so the retention job
+-- can purge it after the configured number of days
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Documents trashed before this column existed start their retention window now
+UPDATE documents
+SET deleted_at = NOW()
+WHERE is_active = false
+AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_trash ON documents(deleted_at DESC, id DESC) WHERE is_active = false;
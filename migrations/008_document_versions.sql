@@ -0,0 +1,41 @@
+-- Optimistic concurrency for documents
+-- version increments whenever a client-visible field changes and backs the
+-- ETag returned by the API; updated_at is bumped on every update
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE FUNCTION update_document_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.title, NEW.content, NEW.gtd_contexts, NEW.gtd_project, NEW.gtd_area,
+      NEW.gtd_status, NEW.metadata, NEW.is_active)
+     IS DISTINCT FROM
+     (OLD.title, OLD.content, OLD.gtd_contexts, OLD.gtd_project, OLD.gtd_area,
+      OLD.gtd_status, OLD.metadata, OLD.is_active) THEN
+    NEW.version = OLD.version + 1;
+  END IF;
+
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replaces update_documents_updated_at, which only touched updated_at
+DROP TRIGGER IF EXISTS update_documents_updated_at ON documents;
+DROP TRIGGER IF EXISTS update_documents_version ON documents;
+
+CREATE TRIGGER update_documents_version BEFORE UPDATE ON documents
+    FOR EACH ROW EXECUTE FUNCTION update_document_version();
+
+DROP TRIGGER IF EXISTS update_system_metadata_updated_at ON system_metadata;
+
+CREATE TRIGGER update_system_metadata_updated_at BEFORE UPDATE ON system_metadata
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
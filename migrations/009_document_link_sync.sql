@@ -0,0 +1,19 @@
+-- Document link maintenance
+-- origin separates links written through the links API ('manual') from links
+-- parsed out of [[wiki links]] in content ('wiki'), which are re-synced on every edit
+
+ALTER TABLE document_links ADD COLUMN IF NOT EXISTS origin VARCHAR(20) DEFAULT 'manual';
+
+-- Wiki links whose target does not exist yet; resolved when a matching document appears
+CREATE TABLE IF NOT EXISTS unresolved_links (
+  id SERIAL PRIMARY KEY,
+  source_document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+  target_ref TEXT NOT NULL, -- lowercased title, or '#<id>'
+  link_text TEXT,
+  link_context TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(source_document_id, target_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_unresolved_links_ref ON unresolved_links(target_ref);
+CREATE INDEX IF NOT EXISTS idx_documents_title_lower ON documents(lower(title)) WHERE is_active = true;
@@ -0,0 +1,8 @@
+-- Attachment blob storage
+-- Attachment bytes live in content-addressed storage (local disk or S3-compatible),
+-- keyed by SHA-256. Identical files share one blob, so a blob is only removed
+-- once no attachment row references its storage_path.
+
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_storage_path ON attachments(storage_path);
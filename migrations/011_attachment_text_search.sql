@@ -0,0 +1,217 @@
+-- Attachment text extraction and search
+-- extracted_text is filled by the extraction pipeline (PDF, DOCX, HTML, text, Markdown)
+-- and indexed alongside document content, so searches match on attachment text too.
+
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS extraction_status VARCHAR(20); -- pending, done, failed, unsupported
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS extraction_error TEXT;
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS extraction_attempts INTEGER DEFAULT 0;
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS extracted_at TIMESTAMP;
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS text_vector tsvector GENERATED ALWAYS AS
+  (to_tsvector('english', COALESCE(filename, '') || ' ' || COALESCE(extracted_text, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_attachments_fts ON attachments USING GIN(text_vector);
+CREATE INDEX IF NOT EXISTS idx_attachments_extraction_pending ON attachments(created_at)
+  WHERE extraction_status = 'pending';
+
+-- Evernote imports stored a JSON dump of the recognition XML; keep only the
+-- best-ranked word of each recognized item
+UPDATE attachments
+SET extracted_text = (
+  SELECT string_agg(item->'t'->0->>'_', ' ')
+  FROM jsonb_array_elements(extracted_text::jsonb->'recoIndex'->'item') AS item
+)
+WHERE extracted_text LIKE '{"recoIndex":%'
+AND jsonb_typeof(extracted_text::jsonb->'recoIndex'->'item') = 'array';
+
+UPDATE attachments SET extracted_text = NULL
+WHERE extracted_text LIKE '{"recoIndex":%' OR extracted_text = '';
+
+-- Queue stored attachments for extraction; references without bytes cannot be read
+UPDATE attachments
+SET extraction_status = CASE
+  WHEN extracted_text IS NOT NULL THEN 'done'
+  WHEN storage_path LIKE 'local://%' OR storage_path LIKE 's3://%' THEN 'pending'
+  ELSE 'unsupported'
+END
+WHERE extraction_status IS NULL;
+
+-- Search functions gain matched_attachments, so the old definitions are dropped first
+DROP FUNCTION IF EXISTS search_documents(TEXT, TEXT[], TEXT, INT);
+
+CREATE OR REPLACE FUNCTION search_documents(
+  search_query TEXT,
+  context_filter TEXT[] DEFAULT NULL,
+  area_filter TEXT DEFAULT NULL,
+  limit_count INT DEFAULT 50
+) RETURNS TABLE (
+  id INT,
+  title TEXT,
+  snippet TEXT,
+  rank REAL,
+  metadata JSONB,
+  matched_attachments JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH search_terms AS (
+    SELECT websearch_to_tsquery('english', search_query) as query
+  ),
+  attachment_hits AS (
+    SELECT a.document_id, MAX(ts_rank(a.text_vector, st.query)) as best_rank
+    FROM attachments a, search_terms st
+    WHERE a.text_vector @@ st.query
+    GROUP BY a.document_id
+  ),
+  ranked AS (
+    SELECT
+      d.id as document_id,
+      d.content_vector @@ st.query as content_match,
+      GREATEST(ts_rank(d.content_vector, st.query), COALESCE(ah.best_rank, 0)) as score
+    FROM documents d
+    CROSS JOIN search_terms st
+    LEFT JOIN attachment_hits ah ON ah.document_id = d.id
+    WHERE
+      (d.content_vector @@ st.query OR ah.document_id IS NOT NULL)
+      AND d.is_active = true
+      AND (context_filter IS NULL OR d.gtd_contexts && context_filter)
+      AND (area_filter IS NULL OR d.gtd_area = area_filter)
+    ORDER BY score DESC
+    LIMIT limit_count
+  )
+  SELECT
+    d.id,
+    d.title,
+    CASE
+      WHEN r.content_match OR ma.matches IS NULL THEN
+        ts_headline('english', d.content, st.query, 'MaxWords=30, MinWords=15, ShortWord=3')
+      ELSE ma.matches->0->>'snippet'
+    END as snippet,
+    r.score::real as rank,
+    d.metadata,
+    COALESCE(ma.matches, '[]'::jsonb) as matched_attachments
+  FROM ranked r
+  JOIN documents d ON d.id = r.document_id
+  CROSS JOIN search_terms st
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(m.match ORDER BY m.match_rank DESC) as matches
+    FROM (
+      SELECT
+        jsonb_build_object(
+          'id', a.id,
+          'filename', a.filename,
+          'file_type', a.file_type,
+          'snippet', ts_headline('english', COALESCE(a.extracted_text, a.filename), st.query,
+            'MaxWords=30, MinWords=15, ShortWord=3'),
+          'rank', ts_rank(a.text_vector, st.query)
+        ) as match,
+        ts_rank(a.text_vector, st.query) as match_rank
+      FROM attachments a
+      WHERE a.document_id = d.id AND a.text_vector @@ st.query
+      ORDER BY 2 DESC
+      LIMIT 3
+    ) m
+  ) ma ON true
+  ORDER BY r.score DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS hybrid_search(TEXT, vector, TEXT[], FLOAT, INT);
+
+CREATE OR REPLACE FUNCTION hybrid_search(
+  query_text TEXT,
+  query_embedding vector(1536),
+  context_filter TEXT[] DEFAULT NULL,
+  weight_vector FLOAT DEFAULT 0.6,
+  limit_count INT DEFAULT 50
+) RETURNS TABLE (
+  id INT,
+  title TEXT,
+  snippet TEXT,
+  combined_score REAL,
+  metadata JSONB,
+  matched_attachments JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH search_terms AS (
+    SELECT websearch_to_tsquery('english', query_text) as query
+  ),
+  vector_search AS (
+    SELECT
+      d.id,
+      1 - (d.embedding <=> query_embedding) as vector_score
+    FROM documents d
+    WHERE
+      d.embedding IS NOT NULL
+      AND d.is_active = true
+      AND (context_filter IS NULL OR d.gtd_contexts && context_filter)
+    ORDER BY d.embedding <=> query_embedding
+    LIMIT limit_count * 2
+  ),
+  attachment_hits AS (
+    SELECT a.document_id, MAX(ts_rank(a.text_vector, st.query)) as best_rank
+    FROM attachments a, search_terms st
+    WHERE a.text_vector @@ st.query
+    GROUP BY a.document_id
+  ),
+  text_search AS (
+    SELECT
+      d.id,
+      d.content_vector @@ st.query as content_match,
+      GREATEST(ts_rank(d.content_vector, st.query), COALESCE(ah.best_rank, 0)) as text_score
+    FROM documents d
+    CROSS JOIN search_terms st
+    LEFT JOIN attachment_hits ah ON ah.document_id = d.id
+    WHERE
+      (d.content_vector @@ st.query OR ah.document_id IS NOT NULL)
+      AND d.is_active = true
+      AND (context_filter IS NULL OR d.gtd_contexts && context_filter)
+    LIMIT limit_count * 2
+  ),
+  combined AS (
+    SELECT
+      COALESCE(v.id, t.id) as document_id,
+      COALESCE(t.content_match, false) as content_match,
+      COALESCE(v.vector_score, 0) * weight_vector +
+      COALESCE(t.text_score, 0) * (1 - weight_vector) as score
+    FROM vector_search v
+    FULL OUTER JOIN text_search t ON v.id = t.id
+    ORDER BY score DESC
+    LIMIT limit_count
+  )
+  SELECT
+    d.id,
+    d.title,
+    CASE
+      WHEN c.content_match OR ma.matches IS NULL THEN
+        ts_headline('english', d.content, st.query, 'MaxWords=30, MinWords=15, ShortWord=3')
+      ELSE ma.matches->0->>'snippet'
+    END as snippet,
+    c.score::real as combined_score,
+    d.metadata,
+    COALESCE(ma.matches, '[]'::jsonb) as matched_attachments
+  FROM combined c
+  JOIN documents d ON c.document_id = d.id
+  CROSS JOIN search_terms st
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(m.match ORDER BY m.match_rank DESC) as matches
+    FROM (
+      SELECT
+        jsonb_build_object(
+          'id', a.id,
+          'filename', a.filename,
+          'file_type', a.file_type,
+          'snippet', ts_headline('english', COALESCE(a.extracted_text, a.filename), st.query,
+            'MaxWords=30, MinWords=15, ShortWord=3'),
+          'rank', ts_rank(a.text_vector, st.query)
+        ) as match,
+        ts_rank(a.text_vector, st.query) as match_rank
+      FROM attachments a
+      WHERE a.document_id = d.id AND a.text_vector @@ st.query
+      ORDER BY 2 DESC
+      LIMIT 3
+    ) m
+  ) ma ON true
+  ORDER BY c.score DESC;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,28 @@
+-- Next actions
+-- Actions are first-class GTD items, either standalone or attached to the document
+-- they came from. Scheduling columns are TIMESTAMPTZ so due and defer times mean the
+-- same instant whatever timezone a client is in.
+
+CREATE TABLE IF NOT EXISTS actions (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  notes TEXT,
+  contexts TEXT[] DEFAULT '{}',
+  project VARCHAR(255),
+  area VARCHAR(255),
+  due_at TIMESTAMPTZ,
+  defer_until TIMESTAMPTZ, -- hidden from next-action lists until then
+  time_estimate_minutes INTEGER CHECK (time_estimate_minutes > 0),
+  energy VARCHAR(10) CHECK (energy IN ('low', 'medium', 'high')),
+  priority INTEGER DEFAULT 3 CHECK (priority BETWEEN 1 AND 5), -- 1 is highest
+  completed_at TIMESTAMPTZ,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_actions_open_due ON actions(due_at) WHERE completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_actions_document ON actions(document_id);
+CREATE INDEX IF NOT EXISTS idx_actions_contexts ON actions USING GIN(contexts);
+CREATE INDEX IF NOT EXISTS idx_actions_project ON actions(project);
@@ -0,0 +1,12 @@
+-- Action dependencies
+-- An action is blocked while any action it depends on is still open
+
+CREATE TABLE IF NOT EXISTS action_dependencies (
+  action_id INTEGER REFERENCES actions(id) ON DELETE CASCADE,
+  depends_on_id INTEGER REFERENCES actions(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (action_id, depends_on_id),
+  CHECK (action_id <> depends_on_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_dependencies_depends_on ON action_dependencies(depends_on_id);
@@ -0,0 +1,203 @@
+-- Projects
+-- A project is a multi-step outcome with its own lifecycle. documents.gtd_project and
+-- actions.project stay as the name clients read and write; triggers resolve the name
+-- to project_id, creating the project on first use, and keep it in step on rename.
+
+CREATE TABLE IF NOT EXISTS projects (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  desired_outcome TEXT, -- what "done" looks like
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'on-hold', 'someday', 'completed', 'dropped')),
+  area VARCHAR(255),
+  next_review_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ, -- set when the project is completed or dropped
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_name ON projects(lower(name));
+CREATE INDEX IF NOT EXISTS idx_projects_status ON projects(status);
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_project_id ON documents(project_id);
+CREATE INDEX IF NOT EXISTS idx_actions_project_id ON actions(project_id);
+
+-- Existing project names, ignoring case and surrounding whitespace; the most used
+-- spelling becomes the project name
+INSERT INTO projects (name, created_at)
+SELECT DISTINCT ON (lower(name)) name, first_used
+FROM (
+  SELECT name, SUM(uses) as uses, MIN(first_used) as first_used
+  FROM (
+    SELECT trim(gtd_project) as name, COUNT(*) as uses, MIN(created_at) as first_used
+    FROM documents WHERE trim(gtd_project) <> '' GROUP BY trim(gtd_project)
+    UNION ALL
+    SELECT trim(project), COUNT(*), MIN(created_at)
+    FROM actions WHERE trim(project) <> '' GROUP BY trim(project)
+  ) used
+  GROUP BY name
+) spellings
+ORDER BY lower(name), uses DESC, name
+ON CONFLICT DO NOTHING;
+
+-- Area from the project's documents, most common first
+UPDATE projects p
+SET area = (
+  SELECT d.gtd_area FROM documents d
+  WHERE lower(trim(d.gtd_project)) = lower(p.name) AND d.gtd_area IS NOT NULL
+  GROUP BY d.gtd_area
+  ORDER BY COUNT(*) DESC, d.gtd_area
+  LIMIT 1
+)
+WHERE p.area IS NULL;
+
+-- Projects whose live documents are all completed are done
+UPDATE projects p
+SET status = 'completed', completed_at = NOW()
+WHERE EXISTS (
+  SELECT 1 FROM documents d
+  WHERE lower(trim(d.gtd_project)) = lower(p.name) AND d.is_active = true
+)
+AND NOT EXISTS (
+  SELECT 1 FROM documents d
+  WHERE lower(trim(d.gtd_project)) = lower(p.name) AND d.is_active = true
+  AND d.gtd_status IS DISTINCT FROM 'completed'
+);
+
+-- Linking is not an edit, so skip the version and revision triggers
+ALTER TABLE documents DISABLE TRIGGER USER;
+
+UPDATE documents d
+SET project_id = p.id, gtd_project = p.name
+FROM projects p
+WHERE lower(trim(d.gtd_project)) = lower(p.name);
+
+ALTER TABLE documents ENABLE TRIGGER USER;
+
+UPDATE actions a
+SET project_id = p.id, project = p.name
+FROM projects p
+WHERE lower(trim(a.project)) = lower(p.name);
+
+-- Id of the project with this name, creating it when there is none
+CREATE OR REPLACE FUNCTION project_id_for_name(project_name TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  clean_name TEXT := NULLIF(trim(project_name), '');
+  found_id INTEGER;
+BEGIN
+  IF clean_name IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT id INTO found_id FROM projects WHERE lower(name) = lower(clean_name);
+
+  IF found_id IS NULL THEN
+    INSERT INTO projects (name) VALUES (clean_name)
+    ON CONFLICT DO NOTHING
+    RETURNING id INTO found_id;
+  END IF;
+
+  -- Lost a race with a concurrent insert
+  IF found_id IS NULL THEN
+    SELECT id INTO found_id FROM projects WHERE lower(name) = lower(clean_name);
+  END IF;
+
+  RETURN found_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Writers set either the name or project_id; the other follows
+CREATE OR REPLACE FUNCTION sync_document_project()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (TG_OP = 'INSERT' AND NEW.project_id IS NOT NULL AND NEW.gtd_project IS NULL) OR
+     (TG_OP = 'UPDATE' AND NEW.project_id IS DISTINCT FROM OLD.project_id
+       AND NEW.gtd_project IS NOT DISTINCT FROM OLD.gtd_project) THEN
+    NEW.gtd_project := (SELECT name FROM projects WHERE id = NEW.project_id);
+  ELSE
+    NEW.project_id := project_id_for_name(NEW.gtd_project);
+    NEW.gtd_project := (SELECT name FROM projects WHERE id = NEW.project_id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_action_project()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (TG_OP = 'INSERT' AND NEW.project_id IS NOT NULL AND NEW.project IS NULL) OR
+     (TG_OP = 'UPDATE' AND NEW.project_id IS DISTINCT FROM OLD.project_id
+       AND NEW.project IS NOT DISTINCT FROM OLD.project) THEN
+    NEW.project := (SELECT name FROM projects WHERE id = NEW.project_id);
+  ELSE
+    NEW.project_id := project_id_for_name(NEW.project);
+    NEW.project := (SELECT name FROM projects WHERE id = NEW.project_id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Named to fire before update_documents_version, which compares gtd_project
+DROP TRIGGER IF EXISTS sync_documents_project ON documents;
+
+CREATE TRIGGER sync_documents_project BEFORE INSERT OR UPDATE OF gtd_project, project_id ON documents
+    FOR EACH ROW EXECUTE FUNCTION sync_document_project();
+
+DROP TRIGGER IF EXISTS sync_actions_project ON actions;
+
+CREATE TRIGGER sync_actions_project BEFORE INSERT OR UPDATE OF project, project_id ON actions
+    FOR EACH ROW EXECUTE FUNCTION sync_action_project();
+
+CREATE OR REPLACE FUNCTION update_project_lifecycle()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.completed_at := CASE WHEN NEW.status IN ('completed', 'dropped') THEN NOW() END;
+  END IF;
+
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_projects_lifecycle ON projects;
+
+CREATE TRIGGER update_projects_lifecycle BEFORE UPDATE ON projects
+    FOR EACH ROW EXECUTE FUNCTION update_project_lifecycle();
+
+-- Renames carry over to the names stored on documents and actions; deleting a
+-- project takes it off its documents and actions rather than leaving a name
+-- that would recreate it on the next write
+CREATE OR REPLACE FUNCTION propagate_project_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    UPDATE documents SET gtd_project = NULL WHERE project_id = OLD.id;
+    UPDATE actions SET project = NULL, updated_at = NOW() WHERE project_id = OLD.id;
+    RETURN OLD;
+  END IF;
+
+  IF NEW.name IS DISTINCT FROM OLD.name THEN
+    UPDATE documents SET gtd_project = NEW.name WHERE project_id = NEW.id;
+    UPDATE actions SET project = NEW.name, updated_at = NOW() WHERE project_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS propagate_projects_delete ON projects;
+
+CREATE TRIGGER propagate_projects_delete BEFORE DELETE ON projects
+    FOR EACH ROW EXECUTE FUNCTION propagate_project_change();
+
+DROP TRIGGER IF EXISTS propagate_projects_rename ON projects;
+
+CREATE TRIGGER propagate_projects_rename AFTER UPDATE OF name ON projects
+    FOR EACH ROW EXECUTE FUNCTION propagate_project_change();
@@ -0,0 +1,101 @@
+-- Horizons of focus
+-- Purpose, vision, 1-2 year goals and areas of responsibility, each linked to the
+-- horizon above it; projects hang off a goal or an area through projects.horizon_id.
+-- A parent is always on a higher level than its children, so the tree cannot loop.
+
+CREATE TABLE IF NOT EXISTS horizons (
+  id SERIAL PRIMARY KEY,
+  level VARCHAR(20) NOT NULL CHECK (level IN ('purpose', 'vision', 'goal', 'area')),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  parent_id INTEGER REFERENCES horizons(id) ON DELETE SET NULL,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_horizons_parent ON horizons(parent_id);
+CREATE INDEX IF NOT EXISTS idx_horizons_level ON horizons(level);
+
+-- Area names double as the area label on projects, so they must be unambiguous
+CREATE UNIQUE INDEX IF NOT EXISTS idx_horizons_area_name ON horizons(lower(name)) WHERE level = 'area';
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS horizon_id INTEGER REFERENCES horizons(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_projects_horizon ON projects(horizon_id);
+
+-- Every area name in use becomes an area of responsibility
+INSERT INTO horizons (level, name)
+SELECT DISTINCT ON (lower(name)) 'area', name
+FROM (
+  SELECT trim(gtd_area) as name FROM documents WHERE trim(gtd_area) <> ''
+  UNION ALL
+  SELECT trim(area) FROM projects WHERE trim(area) <> ''
+  UNION ALL
+  SELECT trim(area) FROM actions WHERE trim(area) <> ''
+) used
+GROUP BY name
+ORDER BY lower(name), COUNT(*) DESC, name
+ON CONFLICT DO NOTHING;
+
+UPDATE projects p
+SET horizon_id = h.id, area = h.name
+FROM horizons h
+WHERE h.level = 'area' AND lower(trim(p.area)) = lower(h.name) AND p.horizon_id IS NULL;
+
+-- projects.area follows the area the project sits under. Setting area links the
+-- project to the area of that name, unless it already sits under a goal; setting
+-- horizon_id to an area updates area.
+CREATE OR REPLACE FUNCTION sync_project_area()
+RETURNS TRIGGER AS $$
+DECLARE
+  horizon_level TEXT;
+  area_id INTEGER;
+BEGIN
+  IF (TG_OP = 'INSERT' AND NEW.horizon_id IS NOT NULL) OR
+     (TG_OP = 'UPDATE' AND NEW.horizon_id IS DISTINCT FROM OLD.horizon_id
+       AND NEW.area IS NOT DISTINCT FROM OLD.area) THEN
+    SELECT level INTO horizon_level FROM horizons WHERE id = NEW.horizon_id;
+    IF horizon_level = 'area' THEN
+      NEW.area := (SELECT name FROM horizons WHERE id = NEW.horizon_id);
+    END IF;
+  ELSE
+    SELECT level INTO horizon_level FROM horizons WHERE id = NEW.horizon_id;
+    IF horizon_level IS DISTINCT FROM 'goal' THEN
+      SELECT id INTO area_id FROM horizons
+      WHERE level = 'area' AND lower(name) = lower(trim(NEW.area));
+      NEW.horizon_id := area_id;
+      IF area_id IS NOT NULL THEN
+        NEW.area := (SELECT name FROM horizons WHERE id = area_id);
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_projects_area ON projects;
+
+CREATE TRIGGER sync_projects_area BEFORE INSERT OR UPDATE OF area, horizon_id ON projects
+    FOR EACH ROW EXECUTE FUNCTION sync_project_area();
+
+CREATE OR REPLACE FUNCTION propagate_area_rename()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.level = 'area' AND NEW.name IS DISTINCT FROM OLD.name THEN
+    UPDATE projects SET area = NEW.name WHERE horizon_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS propagate_horizons_rename ON horizons;
+
+CREATE TRIGGER propagate_horizons_rename AFTER UPDATE OF name ON horizons
+    FOR EACH ROW EXECUTE FUNCTION propagate_area_rename();
+
+DROP TRIGGER IF EXISTS update_horizons_updated_at ON horizons;
+
+CREATE TRIGGER update_horizons_updated_at BEFORE UPDATE ON horizons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
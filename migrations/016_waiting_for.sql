@@ -0,0 +1,13 @@
+-- Waiting-for
+-- An action handed to someone else is a waiting-for item while it has a delegatee and
+-- has not been received. Once received it is either completed or becomes an ordinary
+-- next action again; delegatee and delegated_at are kept as history.
+
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS delegatee VARCHAR(255);
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS delegated_at TIMESTAMPTZ;
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS follow_up_at TIMESTAMPTZ;
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_actions_waiting_follow_up ON actions(follow_up_at)
+  WHERE delegatee IS NOT NULL AND received_at IS NULL AND completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_actions_delegatee ON actions(lower(delegatee));
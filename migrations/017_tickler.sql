@@ -0,0 +1,25 @@
+-- Tickler file
+-- A document with tickle_at in the future is out of sight: document lists skip it
+-- until the tickler job promotes it back into @inbox on that date.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS tickle_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_documents_tickle_at ON documents(tickle_at)
+  WHERE tickle_at IS NOT NULL AND is_active = true;
+
+-- Moving a tickler date is a client-visible change, so it bumps the version
+CREATE OR REPLACE FUNCTION update_document_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.title, NEW.content, NEW.gtd_contexts, NEW.gtd_project, NEW.gtd_area,
+      NEW.gtd_status, NEW.metadata, NEW.is_active, NEW.tickle_at)
+     IS DISTINCT FROM
+     (OLD.title, OLD.content, OLD.gtd_contexts, OLD.gtd_project, OLD.gtd_area,
+      OLD.gtd_status, OLD.metadata, OLD.is_active, OLD.tickle_at) THEN
+    NEW.version = OLD.version + 1;
+  END IF;
+
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
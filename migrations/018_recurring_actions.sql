@@ -0,0 +1,26 @@
+-- Recurring actions
+-- A series holds an RFC 5545 RRULE (without DTSTART) and the actions are its
+-- instances. Completing the open instance creates the next one, scheduled from
+-- its due date or from the completion date depending on mode. dtstart is the due
+-- date the rule was anchored to when it was last set; exceptions are local dates
+-- (in the series time zone) on which no instance falls.
+
+CREATE TABLE IF NOT EXISTS action_series (
+  id SERIAL PRIMARY KEY,
+  rule TEXT NOT NULL,
+  mode VARCHAR(20) NOT NULL DEFAULT 'due' CHECK (mode IN ('due', 'completion')),
+  timezone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+  dtstart TIMESTAMPTZ NOT NULL,
+  exceptions DATE[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES action_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_actions_series ON actions(series_id);
+
+DROP TRIGGER IF EXISTS update_action_series_updated_at ON action_series;
+
+CREATE TRIGGER update_action_series_updated_at BEFORE UPDATE ON action_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,22 @@
+-- Inbox clarification log
+-- Each row is one GTD decision taken on an @inbox document, with the options it
+-- was taken with and the action or project it produced. The log outlives the
+-- document so inbox processing stats survive purging the trash.
+
+CREATE TABLE IF NOT EXISTS clarifications (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+  decision VARCHAR(20) NOT NULL
+    CHECK (decision IN ('trash', 'reference', 'incubate', 'do_it', 'delegate', 'defer', 'project')),
+  details JSONB DEFAULT '{}',
+  action_id INTEGER REFERENCES actions(id) ON DELETE SET NULL,
+  project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_clarifications_document ON clarifications(document_id);
+CREATE INDEX IF NOT EXISTS idx_clarifications_created_at ON clarifications(created_at);
+
+-- Inbox listings filter on the @inbox context
+CREATE INDEX IF NOT EXISTS idx_documents_inbox ON documents(created_at)
+  WHERE is_active = true AND '@inbox' = ANY(gtd_contexts);
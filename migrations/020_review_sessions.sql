@@ -0,0 +1,41 @@
+-- Weekly review sessions
+-- A session walks the weekly review checklist one step at a time. Step progress
+-- and the items looked at are saved as the review goes, so it can be resumed;
+-- completing it stores a snapshot of the system for review history.
+
+CREATE TABLE IF NOT EXISTS review_sessions (
+  id SERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+    CHECK (status IN ('in_progress', 'completed', 'abandoned')),
+  notes TEXT,
+  snapshot JSONB, -- counts taken when the review was completed
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ -- completed or abandoned
+);
+
+-- Only one review runs at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_sessions_in_progress ON review_sessions(status)
+  WHERE status = 'in_progress';
+CREATE INDEX IF NOT EXISTS idx_review_sessions_completed_at ON review_sessions(completed_at);
+
+CREATE TABLE IF NOT EXISTS review_session_steps (
+  session_id INTEGER NOT NULL REFERENCES review_sessions(id) ON DELETE CASCADE,
+  step VARCHAR(30) NOT NULL,
+  position INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'in_progress', 'done', 'skipped')),
+  notes TEXT,
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (session_id, step)
+);
+
+CREATE TABLE IF NOT EXISTS review_session_items (
+  session_id INTEGER NOT NULL REFERENCES review_sessions(id) ON DELETE CASCADE,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('document', 'project', 'action')),
+  item_id INTEGER NOT NULL,
+  notes TEXT,
+  reviewed_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (session_id, item_type, item_id)
+);
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS last_reviewed_at TIMESTAMPTZ;
@@ -0,0 +1,169 @@
+-- Document status lifecycle
+-- gtd_status is one of a fixed set of statuses and only moves along the
+-- transitions listed in document_status_transitions. Every change is logged in
+-- document_status_history; status_changed_at and completed_at record when the
+-- document reached its current status and when it was completed, so stats no
+-- longer have to guess from updated_at, which any edit moves.
+
+CREATE TABLE IF NOT EXISTS document_status_transitions (
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  PRIMARY KEY (from_status, to_status)
+);
+
+INSERT INTO document_status_transitions (from_status, to_status) VALUES
+  ('active', 'someday'),
+  ('active', 'reference'),
+  ('active', 'completed'),
+  ('active', 'archived'),
+  ('someday', 'active'),
+  ('someday', 'reference'),
+  ('someday', 'archived'),
+  ('reference', 'active'),
+  ('reference', 'archived'),
+  ('completed', 'active'),
+  ('completed', 'archived'),
+  ('archived', 'active')
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS document_status_history (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  from_status VARCHAR(50), -- NULL when the document was created
+  to_status VARCHAR(50) NOT NULL,
+  change_source VARCHAR(50) DEFAULT 'api',
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_status_history_document ON document_status_history(document_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_document_status_history_changed_at ON document_status_history(to_status, changed_at);
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_documents_completed_at ON documents(completed_at) WHERE completed_at IS NOT NULL;
+
+-- History so far, from the status each revision recorded
+INSERT INTO document_status_history (document_id, from_status, to_status, change_source, changed_at)
+SELECT document_id, previous_status, gtd_status, change_source, created_at
+FROM (
+  SELECT
+    r.document_id, r.revision_number, r.gtd_status, r.change_source, r.created_at,
+    LAG(r.gtd_status) OVER (PARTITION BY r.document_id ORDER BY r.revision_number) as previous_status
+  FROM document_revisions r
+) revisions
+WHERE gtd_status IS NOT NULL
+AND (revision_number = 1 OR previous_status IS DISTINCT FROM gtd_status);
+
+-- Bringing statuses into the defined set is not an edit, so skip the version
+-- and revision triggers; the history still records it
+ALTER TABLE documents DISABLE TRIGGER USER;
+
+CREATE TEMP TABLE status_normalization AS
+SELECT
+  id,
+  gtd_status as from_status,
+  CASE
+    WHEN lower(trim(gtd_status)) IN ('active', 'someday', 'reference', 'completed', 'archived')
+      THEN lower(trim(gtd_status))
+    WHEN lower(trim(gtd_status)) IN ('done', 'complete', 'finished') THEN 'completed'
+    WHEN lower(trim(gtd_status)) IN ('archive', 'dropped', 'cancelled', 'canceled') THEN 'archived'
+    WHEN lower(trim(gtd_status)) IN ('maybe', 'someday/maybe', 'someday-maybe', 'incubate') THEN 'someday'
+    ELSE 'active'
+  END as to_status
+FROM documents;
+
+UPDATE documents d
+SET gtd_status = n.to_status
+FROM status_normalization n
+WHERE d.id = n.id AND d.gtd_status IS DISTINCT FROM n.to_status;
+
+INSERT INTO document_status_history (document_id, from_status, to_status, change_source)
+SELECT id, from_status, to_status, 'migration'
+FROM status_normalization
+WHERE from_status IS DISTINCT FROM to_status;
+
+DROP TABLE status_normalization;
+
+-- Reached the current status at its last recorded change, or at creation
+UPDATE documents d
+SET status_changed_at = COALESCE(
+  (SELECT MAX(h.changed_at) FROM document_status_history h
+   WHERE h.document_id = d.id AND h.to_status = d.gtd_status),
+  d.created_at
+);
+
+UPDATE documents d
+SET completed_at = COALESCE(d.status_changed_at, d.updated_at)
+WHERE d.gtd_status = 'completed';
+
+ALTER TABLE documents ENABLE TRIGGER USER;
+
+ALTER TABLE documents ALTER COLUMN gtd_status SET NOT NULL;
+ALTER TABLE documents ALTER COLUMN status_changed_at SET DEFAULT NOW();
+
+ALTER TABLE documents ADD CONSTRAINT documents_gtd_status_check
+  CHECK (gtd_status IN ('active', 'someday', 'reference', 'completed', 'archived'));
+
+-- Reject transitions that are not listed and keep the timestamps current.
+-- Named to fire before the other BEFORE triggers on documents.
+CREATE OR REPLACE FUNCTION check_document_status()
+RETURNS TRIGGER AS $$
+DECLARE
+  allowed TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.status_changed_at := NOW();
+    NEW.completed_at := CASE WHEN NEW.gtd_status = 'completed' THEN NOW() END;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.gtd_status IS NOT DISTINCT FROM OLD.gtd_status THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM document_status_transitions
+    WHERE from_status = OLD.gtd_status AND to_status = NEW.gtd_status
+  ) THEN
+    SELECT string_agg(to_status, ',' ORDER BY to_status) INTO allowed
+    FROM document_status_transitions WHERE from_status = OLD.gtd_status;
+
+    RAISE EXCEPTION 'Cannot change status from % to %', OLD.gtd_status, NEW.gtd_status
+      USING ERRCODE = 'check_violation',
+            CONSTRAINT = 'document_status_transition',
+            DETAIL = COALESCE(allowed, '');
+  END IF;
+
+  NEW.status_changed_at := NOW();
+  NEW.completed_at := CASE WHEN NEW.gtd_status = 'completed' THEN NOW() END;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_documents_status ON documents;
+
+CREATE TRIGGER check_documents_status BEFORE INSERT OR UPDATE OF gtd_status ON documents
+    FOR EACH ROW EXECUTE FUNCTION check_document_status();
+
+CREATE OR REPLACE FUNCTION record_document_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.gtd_status IS DISTINCT FROM OLD.gtd_status THEN
+    INSERT INTO document_status_history (document_id, from_status, to_status, change_source, changed_at)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'UPDATE' THEN OLD.gtd_status END,
+      NEW.gtd_status,
+      COALESCE(NULLIF(current_setting('gtd.change_source', true), ''), 'api'),
+      NEW.status_changed_at
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_documents_status_change ON documents;
+
+CREATE TRIGGER record_documents_status_change AFTER INSERT OR UPDATE OF gtd_status ON documents
+    FOR EACH ROW EXECUTE FUNCTION record_document_status_change();
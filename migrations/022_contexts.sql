@@ -0,0 +1,66 @@
+-- Context registry
+-- The curated list of contexts documents and actions are tagged with. A context
+-- can sit under a parent (@work under @computer gives @computer/@work), be
+-- available only on some days and between some local times, and be tied to a
+-- place within radius_meters of a point. Tags keep referring to contexts by
+-- name, so renaming or merging contexts rewrites the gtd_contexts and contexts
+-- arrays that carry them.
+
+CREATE TABLE IF NOT EXISTS contexts (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  parent_id INTEGER REFERENCES contexts(id) ON DELETE SET NULL,
+  available_days SMALLINT[] NOT NULL DEFAULT '{}', -- ISO weekdays, 1 = Monday; empty means every day
+  available_from TIME,
+  available_until TIME, -- earlier than available_from for windows that run past midnight
+  timezone VARCHAR(100) NOT NULL DEFAULT 'UTC',
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  radius_meters INTEGER CHECK (radius_meters > 0),
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK ((available_from IS NULL) = (available_until IS NULL)),
+  CHECK ((latitude IS NULL) = (longitude IS NULL)),
+  CHECK (radius_meters IS NULL OR latitude IS NOT NULL),
+  CHECK (available_days <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::SMALLINT[])
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contexts_name ON contexts(lower(name));
+CREATE INDEX IF NOT EXISTS idx_contexts_parent ON contexts(parent_id);
+
+DROP TRIGGER IF EXISTS update_contexts_updated_at ON contexts;
+
+CREATE TRIGGER update_contexts_updated_at BEFORE UPDATE ON contexts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The default contexts and every context in use start out registered
+INSERT INTO contexts (name)
+SELECT DISTINCT ON (lower(name)) name
+FROM (
+  SELECT jsonb_array_elements_text(value) as name FROM system_metadata WHERE key = 'default_contexts'
+  UNION ALL
+  SELECT trim(unnest(gtd_contexts)) FROM documents
+  UNION ALL
+  SELECT trim(unnest(contexts)) FROM actions
+) used
+WHERE name LIKE '@_%'
+GROUP BY name
+ORDER BY lower(name), COUNT(*) DESC, name
+ON CONFLICT DO NOTHING;
+
+-- contexts with every name in old_names replaced by new_name, keeping the
+-- first occurrence of each name and the original order
+CREATE OR REPLACE FUNCTION replace_contexts(contexts TEXT[], old_names TEXT[], new_name TEXT)
+RETURNS TEXT[] AS $$
+  SELECT ARRAY(
+    SELECT name
+    FROM (
+      SELECT CASE WHEN c = ANY(old_names) THEN new_name ELSE c END as name, n
+      FROM unnest(contexts) WITH ORDINALITY AS u(c, n)
+    ) renamed
+    GROUP BY name
+    ORDER BY MIN(n)
+  )
+$$ LANGUAGE sql IMMUTABLE;
@@ -0,0 +1,211 @@
+-- Search facets
+-- Searches report how their matches break down by context, project, area,
+-- source type, status and the year they were created, and a selection of facet
+-- values narrows them: values of one facet are alternatives, different facets
+-- all apply. The selection travels as JSONB keyed by facet, e.g.
+-- {"contexts": ["@home"], "created_year": [2024, 2025]}.
+
+CREATE OR REPLACE FUNCTION document_matches_facets(d documents, selection JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT selection IS NULL OR (
+    (NOT selection ? 'contexts'
+      OR d.gtd_contexts && ARRAY(SELECT jsonb_array_elements_text(selection->'contexts')))
+    AND (NOT selection ? 'project'
+      OR d.gtd_project IN (SELECT jsonb_array_elements_text(selection->'project')))
+    AND (NOT selection ? 'area'
+      OR d.gtd_area IN (SELECT jsonb_array_elements_text(selection->'area')))
+    AND (NOT selection ? 'source_type'
+      OR d.source_type IN (SELECT jsonb_array_elements_text(selection->'source_type')))
+    AND (NOT selection ? 'status'
+      OR d.gtd_status IN (SELECT jsonb_array_elements_text(selection->'status')))
+    AND (NOT selection ? 'created_year'
+      OR EXTRACT(YEAR FROM d.created_at)::int IN (SELECT jsonb_array_elements_text(selection->'created_year')::int))
+  )
+$$ LANGUAGE sql STABLE;
+
+-- The search functions take the facet selection as a trailing argument; the old
+-- definitions are dropped so calls without it are not ambiguous
+DROP FUNCTION IF EXISTS search_documents(TEXT, TEXT[], TEXT, INT);
+
+CREATE OR REPLACE FUNCTION search_documents(
+  search_query TEXT,
+  context_filter TEXT[] DEFAULT NULL,
+  area_filter TEXT DEFAULT NULL,
+  limit_count INT DEFAULT 50,
+  facet_selection JSONB DEFAULT NULL
+) RETURNS TABLE (
+  id INT,
+  title TEXT,
+  snippet TEXT,
+  rank REAL,
+  metadata JSONB,
+  matched_attachments JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH search_terms AS (
+    SELECT websearch_to_tsquery('english', search_query) as query
+  ),
+  attachment_hits AS (
+    SELECT a.document_id, MAX(ts_rank(a.text_vector, st.query)) as best_rank
+    FROM attachments a, search_terms st
+    WHERE a.text_vector @@ st.query
+    GROUP BY a.document_id
+  ),
+  ranked AS (
+    SELECT
+      d.id as document_id,
+      d.content_vector @@ st.query as content_match,
+      GREATEST(ts_rank(d.content_vector, st.query), COALESCE(ah.best_rank, 0)) as score
+    FROM documents d
+    CROSS JOIN search_terms st
+    LEFT JOIN attachment_hits ah ON ah.document_id = d.id
+    WHERE
+      (d.content_vector @@ st.query OR ah.document_id IS NOT NULL)
+      AND d.is_active = true
+      AND (context_filter IS NULL OR d.gtd_contexts && context_filter)
+      AND (area_filter IS NULL OR d.gtd_area = area_filter)
+      AND document_matches_facets(d, facet_selection)
+    ORDER BY score DESC
+    LIMIT limit_count
+  )
+  SELECT
+    d.id,
+    d.title,
+    CASE
+      WHEN r.content_match OR ma.matches IS NULL THEN
+        ts_headline('english', d.content, st.query, 'MaxWords=30, MinWords=15, ShortWord=3')
+      ELSE ma.matches->0->>'snippet'
+    END as snippet,
+    r.score::real as rank,
+    d.metadata,
+    COALESCE(ma.matches, '[]'::jsonb) as matched_attachments
+  FROM ranked r
+  JOIN documents d ON d.id = r.document_id
+  CROSS JOIN search_terms st
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(m.match ORDER BY m.match_rank DESC) as matches
+    FROM (
+      SELECT
+        jsonb_build_object(
+          'id', a.id,
+          'filename', a.filename,
+          'file_type', a.file_type,
+          'snippet', ts_headline('english', COALESCE(a.extracted_text, a.filename), st.query,
+            'MaxWords=30, MinWords=15, ShortWord=3'),
+          'rank', ts_rank(a.text_vector, st.query)
+        ) as match,
+        ts_rank(a.text_vector, st.query) as match_rank
+      FROM attachments a
+      WHERE a.document_id = d.id AND a.text_vector @@ st.query
+      ORDER BY 2 DESC
+      LIMIT 3
+    ) m
+  ) ma ON true
+  ORDER BY r.score DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS hybrid_search(TEXT, vector, TEXT[], FLOAT, INT);
+
+CREATE OR REPLACE FUNCTION hybrid_search(
+  query_text TEXT,
+  query_embedding vector(1536),
+  context_filter TEXT[] DEFAULT NULL,
+  weight_vector FLOAT DEFAULT 0.6,
+  limit_count INT DEFAULT 50,
+  facet_selection JSONB DEFAULT NULL
+) RETURNS TABLE (
+  id INT,
+  title TEXT,
+  snippet TEXT,
+  combined_score REAL,
+  metadata JSONB,
+  matched_attachments JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH search_terms AS (
+    SELECT websearch_to_tsquery('english', query_text) as query
+  ),
+  vector_search AS (
+    SELECT
+      d.id,
+      1 - (d.embedding <=> query_embedding) as vector_score
+    FROM documents d
+    WHERE
+      d.embedding IS NOT NULL
+      AND d.is_active = true
+      AND (context_filter IS NULL OR d.gtd_contexts && context_filter)
+      AND document_matches_facets(d, facet_selection)
+    ORDER BY d.embedding <=> query_embedding
+    LIMIT limit_count * 2
+  ),
+  attachment_hits AS (
+    SELECT a.document_id, MAX(ts_rank(a.text_vector, st.query)) as best_rank
+    FROM attachments a, search_terms st
+    WHERE a.text_vector @@ st.query
+    GROUP BY a.document_id
+  ),
+  text_search AS (
+    SELECT
+      d.id,
+      d.content_vector @@ st.query as content_match,
+      GREATEST(ts_rank(d.content_vector, st.query), COALESCE(ah.best_rank, 0)) as text_score
+    FROM documents d
+    CROSS JOIN search_terms st
+    LEFT JOIN attachment_hits ah ON ah.document_id = d.id
+    WHERE
+      (d.content_vector @@ st.query OR ah.document_id IS NOT NULL)
+      AND d.is_active = true
+      AND (context_filter IS NULL OR d.gtd_contexts && context_filter)
+      AND document_matches_facets(d, facet_selection)
+    LIMIT limit_count * 2
+  ),
+  combined AS (
+    SELECT
+      COALESCE(v.id, t.id) as document_id,
+      COALESCE(t.content_match, false) as content_match,
+      COALESCE(v.vector_score, 0) * weight_vector +
+      COALESCE(t.text_score, 0) * (1 - weight_vector) as score
+    FROM vector_search v
+    FULL OUTER JOIN text_search t ON v.id = t.id
+    ORDER BY score DESC
+    LIMIT limit_count
+  )
+  SELECT
+    d.id,
+    d.title,
+    CASE
+      WHEN c.content_match OR ma.matches IS NULL THEN
+        ts_headline('english', d.content, st.query, 'MaxWords=30, MinWords=15, ShortWord=3')
+      ELSE ma.matches->0->>'snippet'
+    END as snippet,
+    c.score::real as combined_score,
+    d.metadata,
+    COALESCE(ma.matches, '[]'::jsonb) as matched_attachments
+  FROM combined c
+  JOIN documents d ON c.document_id = d.id
+  CROSS JOIN search_terms st
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(m.match ORDER BY m.match_rank DESC) as matches
+    FROM (
+      SELECT
+        jsonb_build_object(
+          'id', a.id,
+          'filename', a.filename,
+          'file_type', a.file_type,
+          'snippet', ts_headline('english', COALESCE(a.extracted_text, a.filename), st.query,
+            'MaxWords=30, MinWords=15, ShortWord=3'),
+          'rank', ts_rank(a.text_vector, st.query)
+        ) as match,
+        ts_rank(a.text_vector, st.query) as match_rank
+      FROM attachments a
+      WHERE a.document_id = d.id AND a.text_vector @@ st.query
+      ORDER BY 2 DESC
+      LIMIT 3
+    ) m
+  ) ma ON true
+  ORDER BY c.score DESC;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,61 @@
+-- Search query language
+-- Field operators typed into the search box (context:@phone project:"Kitchen"
+-- status:active before:2024-01-01 has:attachment, optionally negated with -)
+-- arrive as JSONB under the facet selection's "operators" key. They narrow the
+-- search like a facet selection, but facet counts never drop them.
+--
+-- Keys: contexts (all of them), project, area, status, source_type (any of
+-- them, ignoring case), each with an exclude_ variant (none of them);
+-- created_after (inclusive) and created_before (exclusive) timestamps; and
+-- has_attachment.
+
+CREATE OR REPLACE FUNCTION document_matches_operators(d documents, operators JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT operators IS NULL OR (
+    (NOT operators ? 'contexts'
+      OR d.gtd_contexts @> ARRAY(SELECT jsonb_array_elements_text(operators->'contexts')))
+    AND (NOT operators ? 'exclude_contexts'
+      OR NOT COALESCE(d.gtd_contexts && ARRAY(SELECT jsonb_array_elements_text(operators->'exclude_contexts')), false))
+    AND (NOT operators ? 'project'
+      OR lower(d.gtd_project) IN (SELECT lower(jsonb_array_elements_text(operators->'project'))))
+    AND (NOT operators ? 'exclude_project' OR d.gtd_project IS NULL
+      OR lower(d.gtd_project) NOT IN (SELECT lower(jsonb_array_elements_text(operators->'exclude_project'))))
+    AND (NOT operators ? 'area'
+      OR lower(d.gtd_area) IN (SELECT lower(jsonb_array_elements_text(operators->'area'))))
+    AND (NOT operators ? 'exclude_area' OR d.gtd_area IS NULL
+      OR lower(d.gtd_area) NOT IN (SELECT lower(jsonb_array_elements_text(operators->'exclude_area'))))
+    AND (NOT operators ? 'status'
+      OR d.gtd_status IN (SELECT lower(jsonb_array_elements_text(operators->'status'))))
+    AND (NOT operators ? 'exclude_status'
+      OR d.gtd_status NOT IN (SELECT lower(jsonb_array_elements_text(operators->'exclude_status'))))
+    AND (NOT operators ? 'source_type'
+      OR lower(d.source_type) IN (SELECT lower(jsonb_array_elements_text(operators->'source_type'))))
+    AND (NOT operators ? 'exclude_source_type' OR d.source_type IS NULL
+      OR lower(d.source_type) NOT IN (SELECT lower(jsonb_array_elements_text(operators->'exclude_source_type'))))
+    AND (NOT operators ? 'created_after'
+      OR d.created_at >= (operators->>'created_after')::timestamptz)
+    AND (NOT operators ? 'created_before'
+      OR d.created_at < (operators->>'created_before')::timestamptz)
+    AND (NOT operators ? 'has_attachment'
+      OR (operators->>'has_attachment')::boolean = EXISTS (SELECT 1 FROM attachments a WHERE a.document_id = d.id))
+  )
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION document_matches_facets(d documents, selection JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT selection IS NULL OR (
+    (NOT selection ? 'contexts'
+      OR d.gtd_contexts && ARRAY(SELECT jsonb_array_elements_text(selection->'contexts')))
+    AND (NOT selection ? 'project'
+      OR d.gtd_project IN (SELECT jsonb_array_elements_text(selection->'project')))
+    AND (NOT selection ? 'area'
+      OR d.gtd_area IN (SELECT jsonb_array_elements_text(selection->'area')))
+    AND (NOT selection ? 'source_type'
+      OR d.source_type IN (SELECT jsonb_array_elements_text(selection->'source_type')))
+    AND (NOT selection ? 'status'
+      OR d.gtd_status IN (SELECT jsonb_array_elements_text(selection->'status')))
+    AND (NOT selection ? 'created_year'
+      OR EXTRACT(YEAR FROM d.created_at)::int IN (SELECT jsonb_array_elements_text(selection->'created_year')::int))
+    AND document_matches_operators(d, selection->'operators')
+  )
+$$ LANGUAGE sql STABLE;
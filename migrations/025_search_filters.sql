@@ -0,0 +1,300 @@
+-- Search filters
+-- One filter model for every search mode: text (search_documents), vector
+-- (vector_search), hybrid (hybrid_search) and operator-only listings all narrow
+-- their matches with document_matches_filters, in place of the context and
+-- area arguments search_documents and hybrid_search took before, which each
+-- applied differently (hybrid search ignored the area).
+--
+-- A filter is a JSONB object; the search functions take a list of them that
+-- must all match, so the filters sent with a request and the field operators
+-- typed into the query apply together. Keys:
+--   contexts_any, contexts_all   documents tagged with any / all of the contexts
+--   project, area, status,       any of the values, ignoring case
+--   source_type
+--   exclude_contexts, exclude_project, exclude_area, exclude_status,
+--   exclude_source_type          none of the values
+--   created_after, updated_after    timestamps, inclusive
+--   created_before, updated_before  timestamps, exclusive
+--   has_attachment               whether the document has attachments
+-- Field operators used to travel under the facet selection's "operators" key;
+-- facet selections are facet values again.
+
+CREATE OR REPLACE FUNCTION document_matches_filters(d documents, search_filters JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT search_filters IS NULL OR NOT EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(
+      CASE WHEN jsonb_typeof(search_filters) = 'array' THEN search_filters ELSE jsonb_build_array(search_filters) END
+    ) f(filter)
+    WHERE NOT COALESCE((
+      (NOT filter ? 'contexts_any'
+        OR d.gtd_contexts && ARRAY(SELECT jsonb_array_elements_text(filter->'contexts_any')))
+      AND (NOT filter ? 'contexts_all'
+        OR d.gtd_contexts @> ARRAY(SELECT jsonb_array_elements_text(filter->'contexts_all')))
+      AND (NOT filter ? 'exclude_contexts'
+        OR NOT COALESCE(d.gtd_contexts && ARRAY(SELECT jsonb_array_elements_text(filter->'exclude_contexts')), false))
+      AND (NOT filter ? 'project'
+        OR lower(d.gtd_project) IN (SELECT lower(jsonb_array_elements_text(filter->'project'))))
+      AND (NOT filter ? 'exclude_project' OR d.gtd_project IS NULL
+        OR lower(d.gtd_project) NOT IN (SELECT lower(jsonb_array_elements_text(filter->'exclude_project'))))
+      AND (NOT filter ? 'area'
+        OR lower(d.gtd_area) IN (SELECT lower(jsonb_array_elements_text(filter->'area'))))
+      AND (NOT filter ? 'exclude_area' OR d.gtd_area IS NULL
+        OR lower(d.gtd_area) NOT IN (SELECT lower(jsonb_array_elements_text(filter->'exclude_area'))))
+      AND (NOT filter ? 'status'
+        OR d.gtd_status IN (SELECT lower(jsonb_array_elements_text(filter->'status'))))
+      AND (NOT filter ? 'exclude_status'
+        OR d.gtd_status NOT IN (SELECT lower(jsonb_array_elements_text(filter->'exclude_status'))))
+      AND (NOT filter ? 'source_type'
+        OR lower(d.source_type) IN (SELECT lower(jsonb_array_elements_text(filter->'source_type'))))
+      AND (NOT filter ? 'exclude_source_type' OR d.source_type IS NULL
+        OR lower(d.source_type) NOT IN (SELECT lower(jsonb_array_elements_text(filter->'exclude_source_type'))))
+      AND (NOT filter ? 'created_after'
+        OR d.created_at >= (filter->>'created_after')::timestamptz)
+      AND (NOT filter ? 'created_before'
+        OR d.created_at < (filter->>'created_before')::timestamptz)
+      AND (NOT filter ? 'updated_after'
+        OR d.updated_at >= (filter->>'updated_after')::timestamptz)
+      AND (NOT filter ? 'updated_before'
+        OR d.updated_at < (filter->>'updated_before')::timestamptz)
+      AND (NOT filter ? 'has_attachment'
+        OR (filter->>'has_attachment')::boolean = EXISTS (SELECT 1 FROM attachments a WHERE a.document_id = d.id))
+    ), false)
+  )
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION document_matches_facets(d documents, selection JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT selection IS NULL OR (
+    (NOT selection ? 'contexts'
+      OR d.gtd_contexts && ARRAY(SELECT jsonb_array_elements_text(selection->'contexts')))
+    AND (NOT selection ? 'project'
+      OR d.gtd_project IN (SELECT jsonb_array_elements_text(selection->'project')))
+    AND (NOT selection ? 'area'
+      OR d.gtd_area IN (SELECT jsonb_array_elements_text(selection->'area')))
+    AND (NOT selection ? 'source_type'
+      OR d.source_type IN (SELECT jsonb_array_elements_text(selection->'source_type')))
+    AND (NOT selection ? 'status'
+      OR d.gtd_status IN (SELECT jsonb_array_elements_text(selection->'status')))
+    AND (NOT selection ? 'created_year'
+      OR EXTRACT(YEAR FROM d.created_at)::int IN (SELECT jsonb_array_elements_text(selection->'created_year')::int))
+  )
+$$ LANGUAGE sql STABLE;
+
+DROP FUNCTION IF EXISTS document_matches_operators(documents, JSONB);
+
+-- The filters replace the context and area arguments; the old definitions are
+-- dropped so calls are not ambiguous
+DROP FUNCTION IF EXISTS search_documents(TEXT, TEXT[], TEXT, INT, JSONB);
+
+CREATE OR REPLACE FUNCTION search_documents(
+  search_query TEXT,
+  search_filters JSONB DEFAULT NULL,
+  facet_selection JSONB DEFAULT NULL,
+  limit_count INT DEFAULT 50
+) RETURNS TABLE (
+  id INT,
+  title TEXT,
+  snippet TEXT,
+  rank REAL,
+  metadata JSONB,
+  matched_attachments JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH search_terms AS (
+    SELECT websearch_to_tsquery('english', search_query) as query
+  ),
+  attachment_hits AS (
+    SELECT a.document_id, MAX(ts_rank(a.text_vector, st.query)) as best_rank
+    FROM attachments a, search_terms st
+    WHERE a.text_vector @@ st.query
+    GROUP BY a.document_id
+  ),
+  ranked AS (
+    SELECT
+      d.id as document_id,
+      d.content_vector @@ st.query as content_match,
+      GREATEST(ts_rank(d.content_vector, st.query), COALESCE(ah.best_rank, 0)) as score
+    FROM documents d
+    CROSS JOIN search_terms st
+    LEFT JOIN attachment_hits ah ON ah.document_id = d.id
+    WHERE
+      (d.content_vector @@ st.query OR ah.document_id IS NOT NULL)
+      AND d.is_active = true
+      AND document_matches_filters(d, search_filters)
+      AND document_matches_facets(d, facet_selection)
+    ORDER BY score DESC
+    LIMIT limit_count
+  )
+  SELECT
+    d.id,
+    d.title,
+    CASE
+      WHEN r.content_match OR ma.matches IS NULL THEN
+        ts_headline('english', d.content, st.query, 'MaxWords=30, MinWords=15, ShortWord=3')
+      ELSE ma.matches->0->>'snippet'
+    END as snippet,
+    r.score::real as rank,
+    d.metadata,
+    COALESCE(ma.matches, '[]'::jsonb) as matched_attachments
+  FROM ranked r
+  JOIN documents d ON d.id = r.document_id
+  CROSS JOIN search_terms st
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(m.match ORDER BY m.match_rank DESC) as matches
+    FROM (
+      SELECT
+        jsonb_build_object(
+          'id', a.id,
+          'filename', a.filename,
+          'file_type', a.file_type,
+          'snippet', ts_headline('english', COALESCE(a.extracted_text, a.filename), st.query,
+            'MaxWords=30, MinWords=15, ShortWord=3'),
+          'rank', ts_rank(a.text_vector, st.query)
+        ) as match,
+        ts_rank(a.text_vector, st.query) as match_rank
+      FROM attachments a
+      WHERE a.document_id = d.id AND a.text_vector @@ st.query
+      ORDER BY 2 DESC
+      LIMIT 3
+    ) m
+  ) ma ON true
+  ORDER BY r.score DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION vector_search(
+  query_embedding vector(1536),
+  search_filters JSONB DEFAULT NULL,
+  facet_selection JSONB DEFAULT NULL,
+  limit_count INT DEFAULT 50
+) RETURNS TABLE (
+  id INT,
+  title TEXT,
+  snippet TEXT,
+  score REAL,
+  metadata JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    d.id,
+    d.title,
+    substring(d.content, 1, 200) as snippet,
+    (1 - (d.embedding <=> query_embedding))::real as score,
+    d.metadata
+  FROM documents d
+  WHERE
+    d.embedding IS NOT NULL
+    AND d.is_active = true
+    AND document_matches_filters(d, search_filters)
+    AND document_matches_facets(d, facet_selection)
+  ORDER BY d.embedding <=> query_embedding
+  LIMIT limit_count;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS hybrid_search(TEXT, vector, TEXT[], FLOAT, INT, JSONB);
+
+CREATE OR REPLACE FUNCTION hybrid_search(
+  query_text TEXT,
+  query_embedding vector(1536),
+  search_filters JSONB DEFAULT NULL,
+  facet_selection JSONB DEFAULT NULL,
+  weight_vector FLOAT DEFAULT 0.6,
+  limit_count INT DEFAULT 50
+) RETURNS TABLE (
+  id INT,
+  title TEXT,
+  snippet TEXT,
+  combined_score REAL,
+  metadata JSONB,
+  matched_attachments JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH search_terms AS (
+    SELECT websearch_to_tsquery('english', query_text) as query
+  ),
+  vector_search AS (
+    SELECT
+      d.id,
+      1 - (d.embedding <=> query_embedding) as vector_score
+    FROM documents d
+    WHERE
+      d.embedding IS NOT NULL
+      AND d.is_active = true
+      AND document_matches_filters(d, search_filters)
+      AND document_matches_facets(d, facet_selection)
+    ORDER BY d.embedding <=> query_embedding
+    LIMIT limit_count * 2
+  ),
+  attachment_hits AS (
+    SELECT a.document_id, MAX(ts_rank(a.text_vector, st.query)) as best_rank
+    FROM attachments a, search_terms st
+    WHERE a.text_vector @@ st.query
+    GROUP BY a.document_id
+  ),
+  text_search AS (
+    SELECT
+      d.id,
+      d.content_vector @@ st.query as content_match,
+      GREATEST(ts_rank(d.content_vector, st.query), COALESCE(ah.best_rank, 0)) as text_score
+    FROM documents d
+    CROSS JOIN search_terms st
+    LEFT JOIN attachment_hits ah ON ah.document_id = d.id
+    WHERE
+      (d.content_vector @@ st.query OR ah.document_id IS NOT NULL)
+      AND d.is_active = true
+      AND document_matches_filters(d, search_filters)
+      AND document_matches_facets(d, facet_selection)
+    LIMIT limit_count * 2
+  ),
+  combined AS (
+    SELECT
+      COALESCE(v.id, t.id) as document_id,
+      COALESCE(t.content_match, false) as content_match,
+      COALESCE(v.vector_score, 0) * weight_vector +
+      COALESCE(t.text_score, 0) * (1 - weight_vector) as score
+    FROM vector_search v
+    FULL OUTER JOIN text_search t ON v.id = t.id
+    ORDER BY score DESC
+    LIMIT limit_count
+  )
+  SELECT
+    d.id,
+    d.title,
+    CASE
+      WHEN c.content_match OR ma.matches IS NULL THEN
+        ts_headline('english', d.content, st.query, 'MaxWords=30, MinWords=15, ShortWord=3')
+      ELSE ma.matches->0->>'snippet'
+    END as snippet,
+    c.score::real as combined_score,
+    d.metadata,
+    COALESCE(ma.matches, '[]'::jsonb) as matched_attachments
+  FROM combined c
+  JOIN documents d ON c.document_id = d.id
+  CROSS JOIN search_terms st
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(m.match ORDER BY m.match_rank DESC) as matches
+    FROM (
+      SELECT
+        jsonb_build_object(
+          'id', a.id,
+          'filename', a.filename,
+          'file_type', a.file_type,
+          'snippet', ts_headline('english', COALESCE(a.extracted_text, a.filename), st.query,
+            'MaxWords=30, MinWords=15, ShortWord=3'),
+          'rank', ts_rank(a.text_vector, st.query)
+        ) as match,
+        ts_rank(a.text_vector, st.query) as match_rank
+      FROM attachments a
+      WHERE a.document_id = d.id AND a.text_vector @@ st.query
+      ORDER BY 2 DESC
+      LIMIT 3
+    ) m
+  ) ma ON true
+  ORDER BY c.score DESC;
+END;
+$$ LANGUAGE plpgsql;
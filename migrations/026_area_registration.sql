@@ -0,0 +1,55 @@
+-- Areas on documents and actions
+-- Documents and actions name their area in gtd_area / area, like projects do.
+-- Migration 015 turned the names in use then into areas of responsibility;
+-- from now on a new name registers its area as it is written, so every area a
+-- document or action is filed under is a horizon (matched ignoring case), and
+-- renaming an area renames it on the documents and actions filed under it.
+
+INSERT INTO horizons (level, name)
+SELECT DISTINCT ON (lower(name)) 'area', name
+FROM (
+  SELECT trim(gtd_area) as name FROM documents WHERE trim(gtd_area) <> ''
+  UNION ALL
+  SELECT trim(area) FROM actions WHERE trim(area) <> ''
+) used
+GROUP BY name
+ORDER BY lower(name), COUNT(*) DESC, name
+ON CONFLICT DO NOTHING;
+
+-- TG_ARGV[0] names the area column of the table the trigger is on
+CREATE OR REPLACE FUNCTION register_area()
+RETURNS TRIGGER AS $$
+DECLARE
+  area_name TEXT := trim(to_jsonb(NEW)->>TG_ARGV[0]);
+BEGIN
+  IF area_name <> '' THEN
+    INSERT INTO horizons (level, name) VALUES ('area', area_name)
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS register_documents_area ON documents;
+
+CREATE TRIGGER register_documents_area BEFORE INSERT OR UPDATE OF gtd_area ON documents
+    FOR EACH ROW EXECUTE FUNCTION register_area('gtd_area');
+
+DROP TRIGGER IF EXISTS register_actions_area ON actions;
+
+CREATE TRIGGER register_actions_area BEFORE INSERT OR UPDATE OF area ON actions
+    FOR EACH ROW EXECUTE FUNCTION register_area('area');
+
+CREATE OR REPLACE FUNCTION propagate_area_rename()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.level = 'area' AND NEW.name IS DISTINCT FROM OLD.name THEN
+    UPDATE projects SET area = NEW.name WHERE horizon_id = NEW.id;
+    IF OLD.level = 'area' THEN
+      UPDATE documents SET gtd_area = NEW.name WHERE lower(trim(gtd_area)) = lower(OLD.name);
+      UPDATE actions SET area = NEW.name WHERE lower(trim(area)) = lower(OLD.name);
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,19 @@
+-- Case-insensitive context rewrites
+-- Contexts are registered and looked up ignoring case, but renaming or merging
+-- one only rewrote tags spelled exactly like it, leaving @Phone behind when
+-- @phone was renamed. replace_contexts now matches old_names ignoring case.
+
+-- contexts with every name in old_names (ignoring case) replaced by new_name,
+-- keeping the first occurrence of each name and the original order
+CREATE OR REPLACE FUNCTION replace_contexts(contexts TEXT[], old_names TEXT[], new_name TEXT)
+RETURNS TEXT[] AS $$
+  SELECT ARRAY(
+    SELECT name
+    FROM (
+      SELECT CASE WHEN lower(c) = ANY(SELECT lower(o) FROM unnest(old_names) o) THEN new_name ELSE c END as name, n
+      FROM unnest(contexts) WITH ORDINALITY AS u(c, n)
+    ) renamed
+    GROUP BY name
+    ORDER BY MIN(n)
+  )
+$$ LANGUAGE sql IMMUTABLE;
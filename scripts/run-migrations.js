@@ -1,11 +1,6 @@
 #!/usr/bin/env node
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
 import { gtdDB } from '../lib/gtd-database-client.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { runPendingMigrations } from '../lib/migration-runner.js';
 
 async function runMigrations() {
   console.log('🚀 Starting GTD database migrations...');
@@ -15,11 +10,6 @@ async function runMigrations() {
     await gtdDB.connect();
     console.log('✅ Connected to database');
 
-    // Read migration file
-    const migrationPath = join(__dirname, '..', 'migrations', '005_gtd_productivity_schema.sql');
-    const migrationSQL = await readFile(migrationPath, 'utf8');
-    console.log('📄 Loaded migration file');
-
     // Check if pgvector extension is available
     try {
       await gtdDB.query('CREATE EXTENSION IF NOT EXISTS vector');
@@ -29,29 +19,11 @@ async function runMigrations() {
       console.error('   To enable vector search, install pgvector on your PostgreSQL instance.');
     }
 
-    // Run migration in transaction
-    await gtdDB.transaction(async (client) => {
-      // Split migration into statements (simple split, might need refinement for complex SQL)
-      const statements = migrationSQL
-        .split(';')
-        .map(s => s.trim())
-        .filter(s => s.length > 0 && !s.startsWith('--'));
-
-      for (const statement of statements) {
-        try {
-          await client.query(statement + ';');
-          console.log('✓ Executed:', statement.substring(0, 50) + '...');
-        } catch (error) {
-          if (error.message.includes('already exists')) {
-            console.log('⏭️  Skipping (already exists):', statement.substring(0, 50) + '...');
-          } else if (error.message.includes('vector') && error.message.includes('type')) {
-            console.log('⚠️  Skipping vector-related statement (pgvector not installed)');
-          } else {
-            throw error;
-          }
-        }
-      }
-    });
+    // Apply every migration file not yet recorded in schema_migrations
+    const applied = await runPendingMigrations(gtdDB);
+    if (applied.length === 0) {
+      console.log('✅ Database schema is up to date');
+    }
 
     console.log('✅ Migration completed successfully!');
 
@@ -60,7 +32,7 @@ async function runMigrations() {
       SELECT table_name 
       FROM information_schema.tables 
       WHERE table_schema = 'public' 
-      AND table_name IN ('documents', 'attachments', 'document_links', 'search_history', 'migration_progress', 'system_metadata', 'embedding_queue')
+      AND table_name IN ('documents', 'attachments', 'document_links', 'search_history', 'migration_progress', 'system_metadata', 'embedding_queue', 'document_revisions', 'schema_migrations')
       ORDER BY table_name
     `);
 
@@ -1,9 +1,26 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { gtdDB } from './lib/gtd-database-client.js';
+import {
+  gtdDB,
+  DOCUMENT_SORT_FIELDS,
+  DOCUMENT_STATUSES,
+  TRASH_SORT_FIELDS,
+  TICKLED_FILTERS,
+  HORIZON_LEVELS,
+  PROJECT_HORIZON_LEVELS,
+  REVIEW_STEPS,
+  INBOX_CONTEXT_PROTECTED
+} from './lib/gtd-database-client.js';
 import { searchService } from './lib/gtd-search-service.js';
 import { EvernoteProcessor } from './lib/evernote-processor.js';
+import { diffRevisions } from './lib/revision-diff.js';
+import { parseRule, previewOccurrences } from './lib/recurrence.js';
+import { renderAgendaMarkdown } from './lib/agenda-markdown.js';
+import { scheduleJob, stopAllJobs, intervalFromEnv } from './lib/scheduled-jobs.js';
+import { validateBody, validateQuery, schemas } from './lib/request-validation.js';
+import { attachmentStorage } from './lib/attachment-storage.js';
+import { textExtractor } from './lib/text-extraction.js';
 import multer from 'multer';
 
 dotenv.config();
@@ -11,6 +28,18 @@ dotenv.config();
 const app = express();
 const PORT = process.env.GTD_API_PORT || 3001;
 
+// Trashed documents are purged after this many days (0 disables the purge job)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+// Job intervals in milliseconds; null when the setting is 0 or unusable
+const TRASH_PURGE_INTERVAL_MS = intervalFromEnv('TRASH_PURGE_INTERVAL_HOURS', 24, 60 * 60 * 1000);
+const ATTACHMENT_EXTRACTION_INTERVAL_MS = intervalFromEnv('ATTACHMENT_EXTRACTION_INTERVAL_MINUTES', 5, 60 * 1000);
+// How often documents whose tickler date has arrived are moved back into @inbox
+const TICKLER_INTERVAL_MS = intervalFromEnv('TICKLER_INTERVAL_MINUTES', 15, 60 * 1000);
+// Time zone the tickler's day and month folders use unless a request names one
+const TICKLER_TIMEZONE = process.env.TICKLER_TIMEZONE || 'UTC';
+// Time zone that decides what "today" is for the daily agenda
+const AGENDA_TIMEZONE = process.env.AGENDA_TIMEZONE || TICKLER_TIMEZONE;
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : '*',
@@ -42,12 +71,109 @@ if (process.env.API_KEY_REQUIRED === 'true') {
   app.use(apiKeyAuth);
 }
 
+// Document ETags are derived from the version column, which the database
+// bumps whenever a client-visible field changes
+const documentETag = (document) => `"${document.id}-${document.version}"`;
+
+// Versions an If-Match header allows for this document: null when the header
+// is absent or '*', otherwise the (possibly empty) list of matching versions
+const parseIfMatch = (header, documentId) => {
+  if (!header || header.trim() === '*') return null;
+  
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').match(/^"(\d+)-(\d+)"$/))
+    .filter(match => match && parseInt(match[1], 10) === parseInt(documentId, 10))
+    .map(match => parseInt(match[2], 10));
+};
+
+const preconditionFailed = (res, document) => {
+  res.set('ETag', documentETag(document));
+  return res.status(412).json({
+    error: 'Precondition failed: the document was modified since it was read',
+    current_etag: documentETag(document),
+    current: document
+  });
+};
+
+// 409 for a status change the document_status_transitions table does not
+// allow, naming the statuses the document could move to instead. Returns
+// false for any other error.
+const statusTransitionRejected = (res, error) => {
+  if (error.constraint !== 'document_status_transition') return false;
+  res.status(409).json({
+    error: error.message,
+    allowed: error.detail ? error.detail.split(',') : []
+  });
+  return true;
+};
+
+// Comma-separated query parameter to an array, or null when absent
+const parseListParam = (value) => {
+  if (!value) return null;
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+};
+
+// First of params that is not a single string, or undefined. A repeated
+// parameter (?status=a&status=b) arrives as an array and ?status[x]=a as an object.
+const nonScalarQueryParam = (query, params) =>
+  params.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+
 // Configure file upload
 const upload = multer({ 
   limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
   storage: multer.memoryStorage()
 });
 
+// Remove stored blobs that no attachment references any more. Blobs are
+// shared between identical files, so deleting a row does not imply the blob.
+// Each is checked again under its storage_path lock, so an upload of the same
+// content that is still being attached keeps it.
+const releaseAttachmentBlobs = async (storagePaths) => {
+  const orphaned = (await gtdDB.findUnreferencedStoragePaths(storagePaths))
+    .filter(storagePath => attachmentStorage.isStored(storagePath));
+  let removed = 0;
+
+  for (const storagePath of orphaned) {
+    try {
+      await gtdDB.withStoragePathLock(storagePath, async (client) => {
+        if ((await gtdDB.findUnreferencedStoragePaths([storagePath], client)).length > 0) {
+          await attachmentStorage.remove(storagePath);
+          removed++;
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to remove attachment blob ${storagePath}:`, error.message);
+    }
+  }
+  return removed;
+};
+
+// Single byte range from a Range header: { start, end } (inclusive),
+// 'unsatisfiable', or null to send the whole body. Multi-range requests
+// are answered with the whole body, which RFC 9110 allows.
+const parseByteRange = (header, size) => {
+  const match = header && /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    if (end < start) return match[2] === '' || start >= size ? 'unsatisfiable' : null;
+  }
+
+  if (start >= size) return 'unsatisfiable';
+  return { start, end };
+};
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -91,6 +217,7 @@ app.get('/api/stats', async (req, res) => {
         (SELECT COUNT(*) FROM documents WHERE processed_at IS NULL) as unprocessed_documents,
         (SELECT COUNT(*) FROM attachments) as total_attachments,
         (SELECT COUNT(*) FROM embedding_queue WHERE processed_at IS NULL) as pending_embeddings,
+        (SELECT COUNT(*) FROM attachments WHERE extraction_status = 'pending') as pending_extractions,
         (SELECT COUNT(*) FROM search_history WHERE created_at > NOW() - INTERVAL '24 hours') as searches_24h,
         (SELECT COUNT(DISTINCT gtd_context) FROM documents, UNNEST(gtd_contexts) as gtd_context) as unique_contexts,
         (SELECT COUNT(DISTINCT gtd_project) FROM documents WHERE gtd_project IS NOT NULL) as unique_projects
@@ -112,23 +239,26 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // Search endpoints
-app.post('/api/search', async (req, res) => {
+app.post('/api/search', validateBody(schemas.search), async (req, res) => {
   try {
-    const { query, type = 'hybrid', filters = {} } = req.body;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    const { query, type, filters, facets, facetLimit } = req.body;
+    const options = { type, ...filters, facets };
+
+    const { text, operators, errors } = searchService.parseQuery(query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid search query', details: errors });
     }
     
-    const results = await searchService.search(query, {
-      type,
-      ...filters
-    });
+    const results = await searchService.search(query, options);
+    const facetCounts = await searchService.getFacets(query, { ...options, facetLimit }, results);
     
     res.json({
       query,
+      parsed: { text, operators },
       results,
       count: results.length,
+      total: facetCounts.total,
+      facets: facetCounts.facets,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -148,6 +278,97 @@ app.get('/api/search/suggestions', async (req, res) => {
 });
 
 // Document endpoints
+app.get('/api/documents', async (req, res) => {
+  try {
+    const {
+      cursor,
+      sort = 'created_at',
+      order = 'desc',
+      status,
+      project,
+      area,
+      source_type: sourceType,
+      contexts,
+      tickled = 'exclude'
+    } = req.query;
+
+    // contexts is a list, so repeating it adds to the list
+    const repeated = nonScalarQueryParam(req.query, [
+      'cursor', 'sort', 'order', 'limit', 'status', 'project', 'area', 'source_type', 'tickled',
+      'created_after', 'created_before', 'updated_after', 'updated_before'
+    ]);
+    if (repeated) {
+      return res.status(400).json({ error: `${repeated} must be a single value` });
+    }
+
+    if (!TICKLED_FILTERS.includes(tickled)) {
+      return res.status(400).json({ error: `tickled must be one of: ${TICKLED_FILTERS.join(', ')}` });
+    }
+
+    if (!DOCUMENT_SORT_FIELDS[sort]) {
+      return res.status(400).json({
+        error: `sort must be one of: ${Object.keys(DOCUMENT_SORT_FIELDS).join(', ')}`
+      });
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    const limit = parseInt(req.query.limit || '50', 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit must be between 1 and 200' });
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = gtdDB.decodeCursor(cursor);
+      if (!decodedCursor || decodedCursor.sort !== sort || decodedCursor.order !== order) {
+        return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+      }
+    }
+
+    const dateFilters = {};
+    for (const [param, key] of [
+      ['created_after', 'createdAfter'],
+      ['created_before', 'createdBefore'],
+      ['updated_after', 'updatedAfter'],
+      ['updated_before', 'updatedBefore']
+    ]) {
+      if (req.query[param]) {
+        const date = new Date(req.query[param]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ error: `${param} must be a valid date` });
+        }
+        dateFilters[key] = date;
+      }
+    }
+
+    const page = await gtdDB.listDocuments({
+      sort,
+      order,
+      limit,
+      cursor: decodedCursor,
+      status,
+      project,
+      area,
+      sourceType,
+      tickled,
+      contexts: parseListParam(contexts),
+      ...dateFilters
+    });
+
+    res.json({
+      documents: page.documents,
+      count: page.documents.length,
+      next_cursor: page.nextCursor,
+      has_more: page.hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/documents/:id', async (req, res) => {
   try {
     const document = await gtdDB.getDocumentById(req.params.id);
@@ -157,17 +378,15 @@ app.get('/api/documents/:id', async (req, res) => {
     }
     
     // Get attachments
-    const attachments = await gtdDB.query(
-      'SELECT * FROM attachments WHERE document_id = $1',
-      [req.params.id]
-    );
+    const attachments = await gtdDB.getDocumentAttachments(req.params.id);
     
     // Get related documents
     const related = await searchService.getRelatedDocuments(req.params.id);
     
+    res.set('ETag', documentETag(document));
     res.json({
       ...document,
-      attachments: attachments.rows,
+      attachments,
       related
     });
   } catch (error) {
@@ -175,237 +394,2201 @@ app.get('/api/documents/:id', async (req, res) => {
   }
 });
 
-app.post('/api/documents', async (req, res) => {
+app.post('/api/documents', validateBody(schemas.documentCreate), async (req, res) => {
   try {
-    const document = await gtdDB.createDocument(req.body);
-    
-    // Queue for embedding generation
-    if (document.id) {
-      await gtdDB.addToEmbeddingQueue(document.id);
-    }
+    // Queue for embedding generation and link up in the same transaction,
+    // so a failure part way leaves no document behind
+    const document = await gtdDB.transaction(async (client) => {
+      const created = await gtdDB.createDocument(req.body, client);
+      await gtdDB.addToEmbeddingQueue(created.id, 5, client);
+      await gtdDB.refreshDocumentLinks(created.id, client);
+      return created;
+    });
     
+    res.set('ETag', documentETag(document));
     res.status(201).json(document);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/documents/:id', async (req, res) => {
+// Bulk operations for weekly review re-tagging
+const BULK_MAX_DOCUMENTS = 1000;
+
+// Whether a bulk filter narrows anything; without criteria it would match
+// every live document. tickled only counts when it restricts to tickled ones.
+const hasFilterCriteria = filter => Object.entries(filter).some(([key, value]) =>
+  key === 'tickled' ? value === 'only'
+    : value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0));
+
+app.post('/api/documents/bulk', validateBody(schemas.documentBulk), async (req, res) => {
+  try {
+    const { ids, filter, operation, contexts, value, allOrNothing } = req.body;
+    const details = [];
+
+    if (!ids === !filter) {
+      details.push({ field: 'ids', message: 'provide either ids or filter, not both' });
+    } else if (filter && !hasFilterCriteria(filter)) {
+      details.push({ field: 'filter', message: 'must set at least one criterion' });
+    }
+    if (['add_contexts', 'remove_contexts'].includes(operation) && !(contexts && contexts.length > 0)) {
+      details.push({ field: 'contexts', message: `is required for ${operation}` });
+    }
+    if (['set_project', 'set_area', 'set_status'].includes(operation) && value === undefined) {
+      details.push({ field: 'value', message: `is required for ${operation}` });
+    }
+    if (operation === 'set_status' && !value) {
+      details.push({ field: 'value', message: 'must not be empty for set_status' });
+    } else if (operation === 'set_status' && !DOCUMENT_STATUSES.includes(value)) {
+      details.push({ field: 'value', message: `must be one of: ${DOCUMENT_STATUSES.join(', ')}` });
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    let targetIds = ids ? [...new Set(ids)] : null;
+    if (filter) {
+      targetIds = await gtdDB.findDocumentIds(filter, BULK_MAX_DOCUMENTS + 1);
+      if (targetIds.length > BULK_MAX_DOCUMENTS) {
+        return res.status(400).json({
+          error: `Filter matches more than ${BULK_MAX_DOCUMENTS} documents; narrow it down`
+        });
+      }
+    }
+
+    const { results, rolledBack } = await gtdDB.bulkUpdateDocuments(
+      targetIds,
+      { type: operation, contexts, value },
+      { allOrNothing }
+    );
+
+    const succeeded = results.filter(result => result.status === 'updated').length;
+
+    res.status(rolledBack ? 409 : 200).json({
+      operation,
+      all_or_nothing: allOrNothing,
+      rolled_back: rolledBack,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/documents/:id', validateBody(schemas.documentUpdate), async (req, res) => {
   try {
-    const document = await gtdDB.updateDocument(req.params.id, req.body);
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({ error: 'No writable fields provided' });
+    }
+    
+    const expectedVersions = parseIfMatch(req.get('If-Match'), req.params.id);
+    const document = await gtdDB.updateDocument(req.params.id, req.body, { expectedVersions });
     
     if (!document) {
-      return res.status(404).json({ error: 'Document not found' });
+      const current = await gtdDB.getDocumentById(req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      return preconditionFailed(res, current);
+    }
+    
+    // Keep wiki links in step with the new title or content
+    if (req.body.title !== undefined || req.body.content !== undefined) {
+      await gtdDB.refreshDocumentLinks(document.id);
     }
     
+    res.set('ETag', documentETag(document));
     res.json(document);
   } catch (error) {
+    if (statusTransitionRejected(res, error)) return;
     res.status(500).json({ error: error.message });
   }
 });
 
 app.delete('/api/documents/:id', async (req, res) => {
   try {
-    await gtdDB.query(
-      'UPDATE documents SET is_active = false WHERE id = $1',
-      [req.params.id]
-    );
+    const expectedVersions = parseIfMatch(req.get('If-Match'), req.params.id);
+    const trashed = await gtdDB.trashDocument(req.params.id, { expectedVersions });
+    
+    if (!trashed) {
+      const current = await gtdDB.getDocumentById(req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      if (expectedVersions && !expectedVersions.includes(current.version)) {
+        return preconditionFailed(res, current);
+      }
+      // Otherwise the document is already in the trash and this is a no-op
+    }
+    
     res.status(204).send();
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// GTD context endpoints
-app.get('/api/contexts', async (req, res) => {
-  try {
-    const result = await gtdDB.query(`
-      SELECT UNNEST(gtd_contexts) as context, COUNT(*) as count
-      FROM documents
-      WHERE is_active = true
-      GROUP BY context
-      ORDER BY count DESC
-    `);
-    
-    res.json(result.rows);
+// Trash endpoints
+app.get('/api/trash', async (req, res) => {
+  try {
+    const { cursor, sort = 'deleted_at', order = 'desc' } = req.query;
+
+    if (!TRASH_SORT_FIELDS[sort]) {
+      return res.status(400).json({
+        error: `sort must be one of: ${Object.keys(TRASH_SORT_FIELDS).join(', ')}`
+      });
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    const limit = parseInt(req.query.limit || '50', 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit must be between 1 and 200' });
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = gtdDB.decodeCursor(cursor);
+      if (!decodedCursor || decodedCursor.sort !== sort || decodedCursor.order !== order) {
+        return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+      }
+    }
+
+    const page = await gtdDB.listDocuments({
+      trashed: true,
+      sort,
+      order,
+      limit,
+      cursor: decodedCursor
+    });
+
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    res.json({
+      documents: page.documents.map(doc => ({
+        ...doc,
+        purge_at: TRASH_RETENTION_DAYS > 0 && doc.deleted_at
+          ? new Date(new Date(doc.deleted_at).getTime() + retentionMs).toISOString()
+          : null
+      })),
+      count: page.documents.length,
+      next_cursor: page.nextCursor,
+      has_more: page.hasMore,
+      retention_days: TRASH_RETENTION_DAYS
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/contexts/:context/documents', async (req, res) => {
+app.post('/api/trash/purge', validateBody(schemas.trashPurge), async (req, res) => {
   try {
-    const documents = await gtdDB.getDocumentsByContext(req.params.context);
-    res.json(documents);
+    // With retention disabled there is no default age, and purging
+    // everything in the trash has to be asked for explicitly
+    if (req.body.older_than_days === undefined && TRASH_RETENTION_DAYS <= 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'older_than_days', message: 'is required while TRASH_RETENTION_DAYS disables retention' }]
+      });
+    }
+
+    const olderThanDays = req.body.older_than_days ?? TRASH_RETENTION_DAYS;
+    const { documentIds, storagePaths } = await gtdDB.purgeTrash(olderThanDays);
+    const blobsRemoved = await releaseAttachmentBlobs(storagePaths);
+
+    res.json({
+      purged: documentIds.length,
+      document_ids: documentIds,
+      blobs_removed: blobsRemoved,
+      older_than_days: olderThanDays
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// GTD projects and areas
-app.get('/api/projects', async (req, res) => {
-  try {
-    const result = await gtdDB.query(`
-      SELECT DISTINCT gtd_project as project, COUNT(*) as count
-      FROM documents
-      WHERE gtd_project IS NOT NULL
-      AND is_active = true
-      GROUP BY gtd_project
-      ORDER BY count DESC
-    `);
-    
-    res.json(result.rows);
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const document = await gtdDB.restoreDocument(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found in trash' });
+    }
+
+    // Links written while the document was in the trash were left unresolved
+    await gtdDB.resolvePendingLinks(document.id);
+
+    res.set('ETag', documentETag(document));
+    res.json(document);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/areas', async (req, res) => {
+app.delete('/api/trash/:id', async (req, res) => {
   try {
-    const result = await gtdDB.query(`
-      SELECT DISTINCT gtd_area as area, COUNT(*) as count
-      FROM documents
-      WHERE gtd_area IS NOT NULL
-      AND is_active = true
-      GROUP BY gtd_area
-      ORDER BY count DESC
-    `);
-    
-    res.json(result.rows);
+    const result = await gtdDB.deleteDocumentPermanently(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!result.deleted) {
+      return res.status(409).json({
+        error: 'Document is not in the trash. DELETE /api/documents/:id first.'
+      });
+    }
+
+    const { storagePaths, ...deleted } = result;
+    deleted.blobs_removed = await releaseAttachmentBlobs(storagePaths);
+
+    res.json(deleted);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Migration endpoints
-app.post('/api/migrate/evernote', upload.single('enex'), async (req, res) => {
+// Document revision history
+app.get('/api/documents/:id/revisions', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'ENEX file is required' });
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
     }
-    
-    const processor = new EvernoteProcessor();
-    await processor.initMigration();
-    
-    // Process in background
-    const content = req.file.buffer.toString('utf8');
-    processor.processENEXContent(content).catch(error => {
-      console.error('Migration error:', error);
-    });
-    
+
+    const revisions = await gtdDB.getDocumentRevisions(req.params.id);
+
     res.json({
-      migrationId: processor.migrationId,
-      message: 'Migration started. Check /api/migrate/status/:id for progress'
+      document_id: document.id,
+      revisions,
+      count: revisions.length
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/migrate/status/:id', async (req, res) => {
+app.get('/api/documents/:id/revisions/diff', async (req, res) => {
   try {
-    const status = await gtdDB.getMigrationProgress(req.params.id);
-    
-    if (!status) {
-      return res.status(404).json({ error: 'Migration not found' });
+    const latest = await gtdDB.getLatestDocumentRevision(req.params.id);
+
+    if (!latest) {
+      return res.status(404).json({ error: 'Document has no revisions' });
     }
-    
-    res.json(status);
+
+    const to = req.query.to ? parseInt(req.query.to, 10) : latest.revision_number;
+    const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({ error: 'from and to must be positive revision numbers' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      gtdDB.getDocumentRevision(req.params.id, from),
+      gtdDB.getDocumentRevision(req.params.id, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: `Revision ${!fromRevision ? from : to} not found` });
+    }
+
+    res.json({
+      document_id: latest.document_id,
+      ...diffRevisions(fromRevision, toRevision)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Embedding queue processor endpoint
-app.post('/api/embeddings/process', async (req, res) => {
+app.get('/api/documents/:id/revisions/:rev', async (req, res) => {
   try {
-    const { batchSize = 10 } = req.body;
-    const stats = await searchService.processEmbeddingQueue(batchSize);
-    
-    res.json({
-      message: 'Embedding processing completed',
-      ...stats
-    });
+    const revision = await gtdDB.getDocumentRevision(req.params.id, parseInt(req.params.rev, 10) || 0);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revision);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Weekly review endpoint
-app.get('/api/review/weekly', async (req, res) => {
+app.post('/api/documents/:id/revisions/:rev/restore', async (req, res) => {
   try {
-    const stats = await gtdDB.query(`
-      WITH weekly_stats AS (
-        SELECT 
-          COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '7 days') as new_items,
-          COUNT(*) FILTER (WHERE gtd_status = 'completed' AND updated_at > NOW() - INTERVAL '7 days') as completed,
-          COUNT(*) FILTER (WHERE gtd_status = 'active' AND created_at < NOW() - INTERVAL '30 days') as stale,
-          COUNT(*) FILTER (WHERE gtd_status = 'active') as active_total
-        FROM documents
-      ),
-      context_breakdown AS (
-        SELECT gtd_context, COUNT(*) as count
-        FROM documents, UNNEST(gtd_contexts) as gtd_context
-        WHERE gtd_status = 'active'
-        GROUP BY gtd_context
-        ORDER BY count DESC
-      ),
-      project_status AS (
-        SELECT gtd_project, COUNT(*) as count
-        FROM documents
-        WHERE gtd_project IS NOT NULL
-        AND gtd_status = 'active'
-        GROUP BY gtd_project
-        ORDER BY count DESC
-        LIMIT 10
-      )
-      SELECT 
-        ws.*,
-        (SELECT json_agg(row_to_json(cb)) FROM context_breakdown cb) as contexts,
-        (SELECT json_agg(row_to_json(ps)) FROM project_status ps) as projects
-      FROM weekly_stats ws
-    `);
-    
-    res.json(stats.rows[0]);
+    const document = await gtdDB.restoreDocumentRevision(
+      req.params.id,
+      parseInt(req.params.rev, 10) || 0
+    );
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document or revision not found' });
+    }
+
+    // Restored content needs a fresh embedding and link sync
+    await gtdDB.addToEmbeddingQueue(document.id);
+    await gtdDB.refreshDocumentLinks(document.id);
+
+    res.set('ETag', documentETag(document));
+    res.json(document);
   } catch (error) {
+    if (statusTransitionRejected(res, error)) return;
     res.status(500).json({ error: error.message });
   }
 });
 
-// Capture endpoint for n8n webhooks
-app.post('/api/capture/:type', async (req, res) => {
+// Status changes, oldest first, with the source of each
+app.get('/api/documents/:id/status-history', async (req, res) => {
   try {
-    const { type } = req.params;
-    const data = req.body;
-    
-    // Create document based on capture type
-    const document = await gtdDB.createDocument({
-      title: data.title || `${type} capture - ${new Date().toLocaleString()}`,
-      content: data.content || data.text || JSON.stringify(data),
-      gtdContexts: data.contexts || ['@inbox'],
-      sourceType: type,
-      metadata: data.metadata || data
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      document_id: document.id,
+      status: document.gtd_status,
+      status_changed_at: document.status_changed_at,
+      completed_at: document.completed_at,
+      history: await gtdDB.getDocumentStatusHistory(document.id)
     });
-    
-    // Queue for processing
-    await gtdDB.addToEmbeddingQueue(document.id);
-    
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Document links
+app.get('/api/documents/:id/links', async (req, res) => {
+  try {
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const links = await gtdDB.getDocumentLinks(document.id);
+
     res.json({
-      success: true,
-      documentId: document.id
+      document_id: document.id,
+      ...links
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start server
-async function startServer() {
+app.get('/api/documents/:id/backlinks', async (req, res) => {
   try {
-    // Initialize database connection
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const backlinks = await gtdDB.getBacklinks(document.id, {
+      linkTypes: parseListParam(req.query.link_types)
+    });
+
+    res.json({
+      document_id: document.id,
+      title: document.title,
+      backlinks,
+      count: backlinks.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Note graph out to N hops, for Obsidian-style graph views
+app.get('/api/documents/:id/graph', async (req, res) => {
+  try {
+    const depth = parseInt(req.query.depth || '1', 10);
+    if (!Number.isInteger(depth) || depth < 1 || depth > 5) {
+      return res.status(400).json({ error: 'depth must be between 1 and 5' });
+    }
+
+    const maxNodes = parseInt(req.query.max_nodes || '200', 10);
+    if (!Number.isInteger(maxNodes) || maxNodes < 1 || maxNodes > 1000) {
+      return res.status(400).json({ error: 'max_nodes must be between 1 and 1000' });
+    }
+
+    const { direction = 'both' } = req.query;
+    if (!['both', 'outgoing', 'incoming'].includes(direction)) {
+      return res.status(400).json({ error: 'direction must be both, outgoing or incoming' });
+    }
+
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const graph = await gtdDB.getDocumentGraph(document.id, {
+      depth,
+      direction,
+      linkTypes: parseListParam(req.query.link_types),
+      maxNodes
+    });
+
+    res.json({
+      root: document.id,
+      depth,
+      direction,
+      ...graph
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/documents/:id/links', validateBody(schemas.linkCreate), async (req, res) => {
+  try {
+    const [source, target] = await Promise.all([
+      gtdDB.getDocumentById(req.params.id),
+      gtdDB.getDocumentById(req.body.targetId)
+    ]);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!target) {
+      return res.status(404).json({ error: 'Target document not found' });
+    }
+
+    if (source.id === target.id) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'targetId', message: 'a document cannot link to itself' }]
+      });
+    }
+
+    const link = await gtdDB.createLink(source.id, req.body);
+
+    if (!link) {
+      return res.status(409).json({ error: 'These documents are already linked' });
+    }
+
+    res.status(201).json(link);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/links/:id', validateBody(schemas.linkUpdate), async (req, res) => {
+  try {
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({ error: 'No writable fields provided' });
+    }
+
+    const link = await gtdDB.updateLink(req.params.id, req.body);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json(link);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/links/:id', async (req, res) => {
+  try {
+    const deleted = await gtdDB.deleteLink(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Attachments
+app.get('/api/documents/:id/attachments', async (req, res) => {
+  try {
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({ attachments: await gtdDB.getDocumentAttachments(document.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/documents/:id/attachments', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Multipart field "file" is required' });
+    }
+
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document || !document.is_active) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const fileType = req.file.mimetype || 'application/octet-stream';
+    const stored = attachmentStorage.locate(req.file.buffer);
+
+    const attachment = await gtdDB.addAttachment(document.id, {
+      filename: req.file.originalname,
+      fileType,
+      fileSize: stored.size,
+      storagePath: stored.storagePath,
+      contentHash: stored.hash,
+      metadata: { source: 'upload' }
+    }, {
+      writeBlob: () => attachmentStorage.store(req.file.buffer, { contentType: fileType })
+    });
+
+    // Extract now so the text is searchable as soon as the upload returns
+    res.status(201).json(await textExtractor.extractAttachment(attachment));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/attachments/:id', async (req, res) => {
+  try {
+    const attachment = await gtdDB.getAttachment(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json(attachment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/attachments/:id/content', async (req, res) => {
+  try {
+    const attachment = await gtdDB.getAttachment(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    // Older imports only recorded where the bytes came from
+    if (!attachmentStorage.isStored(attachment.storage_path)) {
+      return res.status(404).json({ error: 'Attachment content is not stored' });
+    }
+
+    const size = Number(attachment.file_size);
+    const range = parseByteRange(req.headers.range, size);
+
+    res.set('Accept-Ranges', 'bytes');
+    if (attachment.content_hash) {
+      // Content-addressed, so the hash is a strong validator
+      res.set('ETag', `"${attachment.content_hash}"`);
+
+      if (req.headers['if-none-match'] === `"${attachment.content_hash}"`) {
+        return res.status(304).end();
+      }
+    }
+
+    if (range === 'unsatisfiable') {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    const stream = await attachmentStorage.open(attachment.storage_path, range);
+
+    res.attachment(attachment.filename);
+    res.type(attachment.file_type || 'application/octet-stream');
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(size));
+    }
+
+    stream.on('error', (error) => {
+      console.error(`Failed to stream attachment ${attachment.id}:`, error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/attachments/:id/extract', async (req, res) => {
+  try {
+    const attachment = await gtdDB.getAttachment(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    // Explicit re-runs start a fresh set of attempts
+    res.json(await textExtractor.extractAttachment({ ...attachment, extraction_attempts: 0 }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/attachments/:id', async (req, res) => {
+  try {
+    const attachment = await gtdDB.deleteAttachment(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await releaseAttachmentBlobs([attachment.storage_path]);
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Next actions
+// An action that only becomes available after it is due makes no sense
+const deferredPastDue = ({ due_at: dueAt, defer_until: deferUntil }) =>
+  dueAt && deferUntil && new Date(deferUntil) > new Date(dueAt);
+
+// A follow-up before the hand-off makes no sense either
+const followUpBeforeDelegation = ({ delegated_at: delegatedAt, follow_up_at: followUpAt }) =>
+  delegatedAt && followUpAt && new Date(followUpAt) < new Date(delegatedAt);
+
+// Naming a new delegatee starts a new wait: it is dated now unless the
+// client says otherwise, and any earlier receipt no longer applies
+const withDelegationDefaults = (updates, existing = null) => {
+  if (!updates.delegatee || (existing && updates.delegatee === existing.delegatee && !existing.received_at)) {
+    return updates;
+  }
+  return {
+    ...updates,
+    delegatedAt: updates.delegatedAt || new Date(),
+    receivedAt: null
+  };
+};
+
+// Problem with a blockedBy list, or null when it can be saved
+const invalidDependencies = async (actionId, blockedBy) => {
+  if (!blockedBy || blockedBy.length === 0) return null;
+
+  const missing = await gtdDB.findMissingActionIds(blockedBy);
+  if (missing.length > 0) {
+    return `blockedBy references unknown actions: ${missing.join(', ')}`;
+  }
+
+  if (actionId && await gtdDB.wouldCreateDependencyCycle(actionId, blockedBy)) {
+    return 'blockedBy would create a dependency cycle';
+  }
+  return null;
+};
+
+const isTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isCalendarDate = (date) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+// Problems with an action's recurrence, as validation details, or null. A
+// series is anchored at the due date, so a recurring action needs one; the
+// rule may only be left out when the action already recurs.
+const invalidRecurrence = ({ recurrence, dueAt, seriesId = null }) => {
+  const recurs = recurrence !== undefined ? recurrence !== null : Boolean(seriesId);
+  if (!recurs) return null;
+
+  const details = [];
+  if (recurrence) {
+    if (recurrence.rule === undefined && !seriesId) {
+      details.push({ field: 'recurrence.rule', message: 'is required' });
+    }
+    if (recurrence.rule !== undefined) {
+      try {
+        parseRule(recurrence.rule);
+      } catch (error) {
+        details.push({ field: 'recurrence.rule', message: error.message });
+      }
+    }
+    if (recurrence.timezone !== undefined && !isTimeZone(recurrence.timezone)) {
+      details.push({ field: 'recurrence.timezone', message: 'must be an IANA time zone' });
+    }
+    (recurrence.exceptions || []).forEach((date, index) => {
+      if (!isCalendarDate(date)) {
+        details.push({ field: `recurrence.exceptions[${index}]`, message: 'must be a valid date' });
+      }
+    });
+  }
+  if (!dueAt) {
+    details.push({ field: 'dueAt', message: 'is required for a recurring action' });
+  }
+
+  return details.length > 0 ? details : null;
+};
+
+// A completed instance of a recurring action with the series' open instance
+const withNextInstance = async (action) => ({
+  ...action,
+  next_instance: action.series_id && action.completed_at
+    ? await gtdDB.getOpenSeriesInstance(action.series_id, action.id)
+    : null
+});
+
+app.get('/api/actions', validateQuery(schemas.actionQuery), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const page = await gtdDB.listActions(req.query);
+
+    res.json({
+      actions: page.actions,
+      count: page.actions.length,
+      limit,
+      offset,
+      has_more: page.hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/actions', validateBody(schemas.actionCreate), async (req, res) => {
+  try {
+    if (req.body.documentId && !(await gtdDB.getDocumentById(req.body.documentId))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (req.body.projectId && !(await gtdDB.getProject(req.body.projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (deferredPastDue({ due_at: req.body.dueAt, defer_until: req.body.deferUntil })) {
+      return res.status(400).json({ error: 'deferUntil must not be after dueAt' });
+    }
+
+    const dependencyError = await invalidDependencies(null, req.body.blockedBy);
+    if (dependencyError) {
+      return res.status(400).json({ error: dependencyError });
+    }
+
+    const recurrenceDetails = invalidRecurrence(req.body);
+    if (recurrenceDetails) {
+      return res.status(400).json({ error: 'Validation failed', details: recurrenceDetails });
+    }
+
+    const fields = withDelegationDefaults(req.body);
+    if (followUpBeforeDelegation({ delegated_at: fields.delegatedAt, follow_up_at: fields.followUpAt })) {
+      return res.status(400).json({ error: 'followUpAt must not be before delegatedAt' });
+    }
+
+    const action = await gtdDB.createAction(fields);
+    res.status(201).json(action);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// "What should I do now?" - available actions ranked by due date, priority and age
+app.get('/api/engage', validateQuery(schemas.engageQuery), async (req, res) => {
+  try {
+    const { contexts, minutes, energy, limit } = req.query;
+    const actions = await gtdDB.findEngageActions({ contexts, minutes, energy, limit });
+
+    res.json({
+      actions,
+      count: actions.length,
+      criteria: {
+        contexts: contexts || null,
+        minutes: minutes || null,
+        energy: energy || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/actions/:id', async (req, res) => {
+  try {
+    const action = await gtdDB.getAction(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    res.json(action);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/actions/:id', validateBody(schemas.actionUpdate), async (req, res) => {
+  try {
+    const existing = await gtdDB.getAction(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    if (req.body.documentId && !(await gtdDB.getDocumentById(req.body.documentId))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (req.body.projectId && !(await gtdDB.getProject(req.body.projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (deferredPastDue({
+      due_at: req.body.dueAt !== undefined ? req.body.dueAt : existing.due_at,
+      defer_until: req.body.deferUntil !== undefined ? req.body.deferUntil : existing.defer_until
+    })) {
+      return res.status(400).json({ error: 'deferUntil must not be after dueAt' });
+    }
+
+    const dependencyError = await invalidDependencies(existing.id, req.body.blockedBy);
+    if (dependencyError) {
+      return res.status(400).json({ error: dependencyError });
+    }
+
+    const recurrenceDetails = invalidRecurrence({
+      recurrence: req.body.recurrence,
+      dueAt: req.body.dueAt !== undefined ? req.body.dueAt : existing.due_at,
+      seriesId: existing.series_id
+    });
+    if (recurrenceDetails) {
+      return res.status(400).json({ error: 'Validation failed', details: recurrenceDetails });
+    }
+
+    const updates = withDelegationDefaults(req.body, existing);
+    if (followUpBeforeDelegation({
+      delegated_at: updates.delegatedAt !== undefined ? updates.delegatedAt : existing.delegated_at,
+      follow_up_at: updates.followUpAt !== undefined ? updates.followUpAt : existing.follow_up_at
+    })) {
+      return res.status(400).json({ error: 'followUpAt must not be before delegatedAt' });
+    }
+
+    const action = await gtdDB.updateAction(existing.id, updates);
+    res.json(action || existing);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/actions/:id', async (req, res) => {
+  try {
+    const deleted = await gtdDB.deleteAction(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/actions/:id/complete', async (req, res) => {
+  try {
+    const action = await gtdDB.getAction(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    // Completing twice keeps the original completion time
+    if (action.completed_at) {
+      return res.json(await withNextInstance(action));
+    }
+
+    res.json(await withNextInstance(await gtdDB.updateAction(action.id, { completedAt: new Date() })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/actions/:id/reopen', async (req, res) => {
+  try {
+    const action = await gtdDB.getAction(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    if (!action.completed_at) {
+      return res.json(action);
+    }
+
+    res.json(await gtdDB.updateAction(action.id, { completedAt: null }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upcoming due dates of a recurring action's series, after this instance
+app.get('/api/actions/:id/occurrences', validateQuery(schemas.actionOccurrencesQuery), async (req, res) => {
+  try {
+    const action = await gtdDB.getAction(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    if (!action.series_id) {
+      return res.status(409).json({ error: 'This action does not recur' });
+    }
+
+    const series = await gtdDB.getActionSeries(action.series_id);
+    const occurrences = previewOccurrences(series, {
+      dueAt: action.due_at,
+      count: req.query.count,
+      instanceCount: series.instance_count
+    });
+
+    res.json({
+      action_id: action.id,
+      recurrence: action.recurrence,
+      occurrences,
+      count: occurrences.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/documents/:id/actions', async (req, res) => {
+  try {
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { actions } = await gtdDB.listActions({ documentId: document.id, status: 'all', limit: 1000 });
+    res.json({ actions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Waiting-for: actions handed to someone else until they are received
+app.get('/api/waiting-for', validateQuery(schemas.waitingForQuery), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const page = await gtdDB.listWaitingFor(req.query);
+
+    res.json({
+      actions: page.actions,
+      count: page.actions.length,
+      limit,
+      offset,
+      has_more: page.hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/waiting-for', validateBody(schemas.waitingForCreate), async (req, res) => {
+  try {
+    if (req.body.documentId && !(await gtdDB.getDocumentById(req.body.documentId))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (req.body.projectId && !(await gtdDB.getProject(req.body.projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (followUpBeforeDelegation({ delegated_at: req.body.delegatedAt, follow_up_at: req.body.followUpAt })) {
+      return res.status(400).json({ error: 'followUpAt must not be before delegatedAt' });
+    }
+
+    const dependencyError = await invalidDependencies(null, req.body.blockedBy);
+    if (dependencyError) {
+      return res.status(400).json({ error: dependencyError });
+    }
+
+    const recurrenceDetails = invalidRecurrence(req.body);
+    if (recurrenceDetails) {
+      return res.status(400).json({ error: 'Validation failed', details: recurrenceDetails });
+    }
+
+    const action = await gtdDB.createAction(req.body);
+    res.status(201).json(action);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Waiting-for items whose follow-up date has passed, most overdue first
+app.get('/api/waiting-for/overdue', validateQuery(schemas.waitingForQuery), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const page = await gtdDB.listWaitingFor({ ...req.query, overdue: true });
+
+    res.json({
+      actions: page.actions,
+      count: page.actions.length,
+      limit,
+      offset,
+      has_more: page.hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hand an open action to someone and wait for it
+app.post('/api/actions/:id/delegate', validateBody(schemas.actionDelegate), async (req, res) => {
+  try {
+    const action = await gtdDB.getAction(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    if (action.completed_at) {
+      return res.status(409).json({ error: 'Completed actions cannot be delegated' });
+    }
+
+    if (followUpBeforeDelegation({ delegated_at: req.body.delegatedAt, follow_up_at: req.body.followUpAt })) {
+      return res.status(400).json({ error: 'followUpAt must not be before delegatedAt' });
+    }
+
+    res.json(await gtdDB.updateAction(action.id, {
+      followUpAt: null,
+      ...req.body,
+      receivedAt: null
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What we were waiting for arrived: done, or back to us as a next action
+app.post('/api/waiting-for/:id/received', validateBody(schemas.waitingForReceived), async (req, res) => {
+  try {
+    const action = await gtdDB.getAction(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    if (!action.is_waiting || action.completed_at) {
+      return res.status(409).json({ error: 'This action is not waiting on anyone' });
+    }
+
+    const now = new Date();
+    res.json(await withNextInstance(await gtdDB.updateAction(action.id, req.body.outcome === 'complete'
+      ? { receivedAt: now, completedAt: now }
+      : { receivedAt: now })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Inbox: clarifying captured items one GTD decision at a time
+// Options each decision accepts; everything else in the body is rejected
+const CLARIFY_OPTIONS = {
+  trash: [],
+  reference: ['area', 'folder', 'project', 'projectId'],
+  incubate: ['tickleAt'],
+  do_it: [],
+  defer: [
+    'title', 'notes', 'contexts', 'project', 'projectId', 'area',
+    'dueAt', 'deferUntil', 'timeEstimate', 'energy', 'priority'
+  ],
+  project: ['title', 'desiredOutcome', 'area', 'nextAction']
+};
+CLARIFY_OPTIONS.delegate = [...CLARIFY_OPTIONS.defer, 'delegatee', 'followUpAt'];
+
+// Problems with a clarify request, as validation details, or null
+const invalidClarification = ({ decision, ...options }) => {
+  const details = Object.keys(options)
+    .filter(field => !CLARIFY_OPTIONS[decision].includes(field))
+    .map(field => ({ field, message: `does not apply to ${decision}` }));
+
+  if (decision === 'defer' && !(options.contexts && options.contexts.length > 0)) {
+    details.push({ field: 'contexts', message: 'is required to defer an item as a next action' });
+  }
+  if (decision === 'delegate' && !options.delegatee) {
+    details.push({ field: 'delegatee', message: 'is required to delegate an item' });
+  }
+  if (options.tickleAt && options.tickleAt <= new Date()) {
+    details.push({ field: 'tickleAt', message: 'must be in the future' });
+  }
+
+  const action = options.nextAction || options;
+  if (deferredPastDue({ due_at: action.dueAt, defer_until: action.deferUntil })) {
+    details.push({
+      field: options.nextAction ? 'nextAction.deferUntil' : 'deferUntil',
+      message: 'must not be after dueAt'
+    });
+  }
+  if (followUpBeforeDelegation({ delegated_at: new Date(), follow_up_at: options.followUpAt })) {
+    details.push({ field: 'followUpAt', message: 'must not be in the past' });
+  }
+
+  return details.length > 0 ? details : null;
+};
+
+// Inbox items oldest first, with inbox-zero progress
+app.get('/api/inbox', validateQuery(schemas.inboxQuery), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const page = await gtdDB.listInbox(req.query);
+
+    res.json({
+      documents: page.documents,
+      count: page.documents.length,
+      limit,
+      offset,
+      has_more: page.hasMore,
+      progress: await gtdDB.getInboxProgress()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/inbox/:id/clarify', validateBody(schemas.inboxClarify), async (req, res) => {
+  try {
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const details = invalidClarification(req.body);
+    if (details) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const { decision, ...options } = req.body;
+
+    if (options.projectId && !(await gtdDB.getProject(options.projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (decision === 'project' && await gtdDB.getProjectByName(options.title || document.title)) {
+      return res.status(409).json({ error: 'A project with that name already exists' });
+    }
+
+    const result = await gtdDB.clarifyInboxItem(document.id, decision, options);
+    if (!result) {
+      return res.status(409).json({ error: 'Document is not in the inbox' });
+    }
+
+    res.json({
+      decision,
+      clarification_id: result.clarification.id,
+      document: result.document,
+      action: result.action,
+      project: result.project,
+      progress: await gtdDB.getInboxProgress()
+    });
+  } catch (error) {
+    if (statusTransitionRejected(res, error)) return;
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clarify decisions taken on a document, newest first
+app.get('/api/documents/:id/clarifications', async (req, res) => {
+  try {
+    const document = await gtdDB.getDocumentById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({ clarifications: await gtdDB.getDocumentClarifications(document.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Daily agenda: what is due, coming back and worth doing today. JSON by
+// default; Markdown for format=markdown or an Accept of text/markdown, and the
+// same text as text/plain for format=text or text/plain.
+app.get('/api/agenda/today', validateQuery(schemas.agendaQuery), async (req, res) => {
+  try {
+    const timezone = req.query.timezone || AGENDA_TIMEZONE;
+    if (!isTimeZone(timezone)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'timezone', message: 'must be an IANA time zone' }]
+      });
+    }
+
+    const agenda = await gtdDB.getAgenda(timezone, { perContext: req.query.perContext });
+
+    const format = req.query.format || {
+      'text/markdown': 'markdown',
+      'text/plain': 'text'
+    }[req.accepts(['application/json', 'text/markdown', 'text/plain'])] || 'json';
+
+    if (format === 'json') {
+      return res.json(agenda);
+    }
+
+    res.type(format === 'markdown' ? 'text/markdown' : 'text/plain').send(renderAgendaMarkdown(agenda));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tickler: the 43-folder view of deferred documents
+// One folder per day of the month (default: the current month) and one per
+// month for the year after it
+app.get('/api/tickler', validateQuery(schemas.ticklerQuery), async (req, res) => {
+  try {
+    const timezone = req.query.timezone || TICKLER_TIMEZONE;
+    if (!isTimeZone(timezone)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'timezone', message: 'must be an IANA time zone' }]
+      });
+    }
+
+    const month = req.query.month ||
+      new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit' })
+        .format(new Date());
+    const [year, monthNumber] = month.split('-').map(Number);
+
+    const folders = await gtdDB.getTicklerFolders(`${month}-01`, timezone);
+
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    const days = Array.from({ length: daysInMonth }, (_, i) => {
+      const date = `${month}-${String(i + 1).padStart(2, '0')}`;
+      const documents = folders.days.get(date) || [];
+      return { date, count: documents.length, documents };
+    });
+
+    const months = Array.from({ length: 12 }, (_, i) => {
+      const next = new Date(Date.UTC(year, monthNumber + i, 1));
+      const key = `${next.getUTCFullYear()}-${String(next.getUTCMonth() + 1).padStart(2, '0')}`;
+      return { month: key, count: folders.months.get(key) || 0 };
+    });
+
+    res.json({ month, timezone, days, months });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Document statuses and the statuses each may move to
+app.get('/api/statuses', async (req, res) => {
+  try {
+    res.json({ statuses: await gtdDB.getDocumentStatusTransitions() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GTD context endpoints
+// A context is addressed by id or by name
+const findContext = (param) => /^\d+$/.test(param)
+  ? gtdDB.getContext(param)
+  : gtdDB.getContextByName(param);
+
+// 409 for renaming, merging away or deleting @inbox. Returns true when it
+// handled the error.
+const inboxContextRejected = (res, error) => {
+  if (error.code !== INBOX_CONTEXT_PROTECTED) return false;
+  res.status(409).json({ error: error.message });
+  return true;
+};
+
+// Problems with a context's availability window and location once the update
+// is applied to the existing context, as validation details, or null
+const invalidContextFields = (fields, existing = {}) => {
+  const details = [];
+  const merged = (key, column) => fields[key] !== undefined ? fields[key] : (existing[column] ?? null);
+
+  (fields.availableDays || []).forEach((day, index) => {
+    if (day < 1 || day > 7) {
+      details.push({ field: `availableDays[${index}]`, message: 'must be an ISO weekday from 1 (Monday) to 7 (Sunday)' });
+    }
+  });
+
+  const from = merged('availableFrom', 'available_from');
+  const until = merged('availableUntil', 'available_until');
+  if ((from === null) !== (until === null)) {
+    details.push({ field: 'availableFrom', message: 'availableFrom and availableUntil go together' });
+  } else if (from !== null && from.slice(0, 5) === until.slice(0, 5)) {
+    details.push({ field: 'availableUntil', message: 'must differ from availableFrom' });
+  }
+
+  if (fields.timezone !== undefined && !isTimeZone(fields.timezone)) {
+    details.push({ field: 'timezone', message: 'must be an IANA time zone' });
+  }
+
+  const latitude = merged('latitude', 'latitude');
+  const longitude = merged('longitude', 'longitude');
+  if ((latitude === null) !== (longitude === null)) {
+    details.push({ field: 'latitude', message: 'latitude and longitude go together' });
+  } else if (latitude === null && merged('radiusMeters', 'radius_meters') !== null) {
+    details.push({ field: 'radiusMeters', message: 'needs a latitude and longitude' });
+  }
+
+  return details.length > 0 ? details : null;
+};
+
+// Problem with placing context id under parentId, as { status, error }, or null
+const invalidContextParent = async (id, parentId) => {
+  if (!parentId) return null;
+
+  const parent = await gtdDB.getContext(parentId);
+  if (!parent) {
+    return { status: 404, error: 'Parent context not found' };
+  }
+  if (id && (parent.id === id || (await gtdDB.getContextAncestors(parent.id)).some(ancestor => ancestor.id === id))) {
+    return { status: 400, error: 'A context cannot sit under itself or one of its own children' };
+  }
+  return null;
+};
+
+// Registered contexts; context and count repeat name and document_count for
+// clients of the original listing of tags in use
+app.get('/api/contexts', validateQuery(schemas.contextQuery), async (req, res) => {
+  try {
+    if ((req.query.latitude === undefined) !== (req.query.longitude === undefined)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'latitude', message: 'latitude and longitude go together' }]
+      });
+    }
+
+    const contexts = await gtdDB.listContexts(req.query);
+
+    res.json(contexts.map(context => ({
+      ...context,
+      context: context.name,
+      count: context.document_count
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/contexts/tree', async (req, res) => {
+  try {
+    res.json({ contexts: await gtdDB.getContextTree() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tags in use that are not registered, to register or merge away
+app.get('/api/contexts/unregistered', async (req, res) => {
+  try {
+    res.json({ contexts: await gtdDB.listUnregisteredContexts() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/contexts', validateBody(schemas.contextCreate), async (req, res) => {
+  try {
+    const details = invalidContextFields(req.body);
+    if (details) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const parentError = await invalidContextParent(null, req.body.parentId);
+    if (parentError) {
+      return res.status(parentError.status).json({ error: parentError.error });
+    }
+
+    const context = await gtdDB.createContext(req.body);
+
+    if (!context) {
+      return res.status(409).json({ error: 'A context with this name already exists' });
+    }
+
+    res.status(201).json(context);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/contexts/:context/documents', async (req, res) => {
+  try {
+    const documents = await gtdDB.getDocumentsByContext(req.params.context);
+    res.json(documents);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/contexts/:context', async (req, res) => {
+  try {
+    const context = await findContext(req.params.context);
+
+    if (!context) {
+      return res.status(404).json({ error: 'Context not found' });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      gtdDB.getContextAncestors(context.id),
+      gtdDB.listContexts({ parentId: context.id })
+    ]);
+
+    res.json({ ...context, ancestors, children });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Renaming rewrites the context on every document and action
+app.put('/api/contexts/:context', validateBody(schemas.contextUpdate), async (req, res) => {
+  try {
+    const existing = await findContext(req.params.context);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Context not found' });
+    }
+
+    const details = invalidContextFields(req.body, existing);
+    if (details) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const parentError = await invalidContextParent(existing.id, req.body.parentId);
+    if (parentError) {
+      return res.status(parentError.status).json({ error: parentError.error });
+    }
+
+    if (req.body.name) {
+      const namesake = await gtdDB.getContextByName(req.body.name);
+      if (namesake && namesake.id !== existing.id) {
+        return res.status(409).json({
+          error: 'A context with this name already exists; merge into it instead',
+          context_id: namesake.id
+        });
+      }
+    }
+
+    const result = await gtdDB.updateContext(existing.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Context not found' });
+    }
+
+    res.json({ ...result.context, rewritten: result.rewritten });
+  } catch (error) {
+    if (inboxContextRejected(res, error)) return;
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Documents and actions keep the context, which becomes unregistered
+app.delete('/api/contexts/:context', async (req, res) => {
+  try {
+    const context = await findContext(req.params.context);
+
+    if (!context || !(await gtdDB.deleteContext(context.id))) {
+      return res.status(404).json({ error: 'Context not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    if (inboxContextRejected(res, error)) return;
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fold other contexts, registered or not, into this one
+app.post('/api/contexts/:context/merge', validateBody(schemas.contextMerge), async (req, res) => {
+  try {
+    const target = await findContext(req.params.context);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Context not found' });
+    }
+
+    const result = await gtdDB.mergeContexts(target.id, req.body.contexts);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Context not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (inboxContextRejected(res, error)) return;
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Horizon placement rules, shared by the project and horizon endpoints
+const levelRank = (level) => HORIZON_LEVELS.indexOf(level);
+
+// Problem with a project's horizonId as { status, error }, or null
+const invalidProjectHorizon = async (horizonId) => {
+  if (!horizonId) return null;
+
+  const horizon = await gtdDB.getHorizon(horizonId);
+  if (!horizon) {
+    return { status: 404, error: 'Horizon not found' };
+  }
+  if (!PROJECT_HORIZON_LEVELS.includes(horizon.level)) {
+    return { status: 400, error: `Projects sit under a goal or an area, not a ${horizon.level}` };
+  }
+  return null;
+};
+
+// Problem with placing a horizon of this level under parentId, as
+// { status, error }, or null
+const invalidHorizonParent = async (level, parentId) => {
+  if (!parentId) return null;
+
+  const parent = await gtdDB.getHorizon(parentId);
+  if (!parent) {
+    return { status: 404, error: 'Parent horizon not found' };
+  }
+  if (levelRank(parent.level) >= levelRank(level)) {
+    return { status: 400, error: `A ${level} cannot sit under a ${parent.level}` };
+  }
+  return null;
+};
+
+// GTD projects and areas
+// project and count repeat name and document_count for clients of the
+// original name-only listing
+app.get('/api/projects', validateQuery(schemas.projectQuery), async (req, res) => {
+  try {
+    const projects = await gtdDB.listProjects(req.query);
+
+    res.json(projects.map(project => ({
+      ...project,
+      project: project.name,
+      count: project.document_count
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/projects', validateBody(schemas.projectCreate), async (req, res) => {
+  try {
+    const horizonError = await invalidProjectHorizon(req.body.horizonId);
+    if (horizonError) {
+      return res.status(horizonError.status).json({ error: horizonError.error });
+    }
+
+    const project = await gtdDB.createProject(req.body);
+
+    if (!project) {
+      return res.status(409).json({ error: 'A project with this name already exists' });
+    }
+
+    res.status(201).json(project);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Active projects with no next action to move them forward
+app.get('/api/projects/stalled', validateQuery(schemas.stalledProjectsQuery), async (req, res) => {
+  try {
+    const projects = await gtdDB.getStalledProjects(req.query);
+    res.json({ projects, count: projects.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:id', async (req, res) => {
+  try {
+    const project = await gtdDB.getProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { actions } = await gtdDB.listActions({ projectId: project.id, limit: 1000 });
+    res.json({ ...project, actions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/projects/:id', validateBody(schemas.projectUpdate), async (req, res) => {
+  try {
+    const existing = await gtdDB.getProject(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (req.body.name) {
+      const namesake = await gtdDB.getProjectByName(req.body.name);
+      if (namesake && namesake.id !== existing.id) {
+        return res.status(409).json({ error: 'A project with this name already exists' });
+      }
+    }
+
+    const horizonError = await invalidProjectHorizon(req.body.horizonId);
+    if (horizonError) {
+      return res.status(horizonError.status).json({ error: horizonError.error });
+    }
+
+    const project = await gtdDB.updateProject(existing.id, req.body);
+    res.json(project || existing);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    const deleted = await gtdDB.deleteProject(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Horizons of focus
+app.get('/api/horizons', validateQuery(schemas.horizonQuery), async (req, res) => {
+  try {
+    const horizons = await gtdDB.listHorizons(req.query);
+    res.json({ horizons, count: horizons.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purpose down to areas as nested children, each with its rollup
+app.get('/api/horizons/tree', validateQuery(schemas.horizonTreeQuery), async (req, res) => {
+  try {
+    res.json(await gtdDB.getHorizonTree(req.query));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/horizons', validateBody(schemas.horizonCreate), async (req, res) => {
+  try {
+    const parentError = await invalidHorizonParent(req.body.level, req.body.parentId);
+    if (parentError) {
+      return res.status(parentError.status).json({ error: parentError.error });
+    }
+
+    const horizon = await gtdDB.createHorizon(req.body);
+
+    if (!horizon) {
+      return res.status(409).json({ error: 'An area with this name already exists' });
+    }
+
+    res.status(201).json(horizon);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/horizons/:id', async (req, res) => {
+  try {
+    const horizon = await gtdDB.getHorizon(req.params.id);
+
+    if (!horizon) {
+      return res.status(404).json({ error: 'Horizon not found' });
+    }
+
+    const [ancestors, children, projects, rollup] = await Promise.all([
+      gtdDB.getHorizonAncestors(horizon.id),
+      gtdDB.listHorizons({ parentId: horizon.id }),
+      gtdDB.getHorizonProjects([horizon.id]),
+      gtdDB.getHorizonRollups([horizon.id])
+    ]);
+
+    res.json({ ...horizon, rollup: rollup(horizon.id), ancestors, children, projects });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/horizons/:id', validateBody(schemas.horizonUpdate), async (req, res) => {
+  try {
+    const existing = await gtdDB.getHorizon(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Horizon not found' });
+    }
+
+    const level = req.body.level || existing.level;
+    const parentId = req.body.parentId !== undefined ? req.body.parentId : existing.parent_id;
+
+    if (parentId === existing.id) {
+      return res.status(400).json({ error: 'A horizon cannot sit under itself' });
+    }
+
+    const parentError = await invalidHorizonParent(level, parentId);
+    if (parentError) {
+      return res.status(parentError.status).json({ error: parentError.error });
+    }
+
+    if (level !== existing.level) {
+      const { child_levels: childLevels, project_count: projectCount } =
+        await gtdDB.getHorizonDependents(existing.id);
+
+      const misplaced = childLevels.find(childLevel => levelRank(childLevel) <= levelRank(level));
+      if (misplaced) {
+        return res.status(400).json({ error: `A ${level} cannot have a ${misplaced} under it` });
+      }
+      if (projectCount > 0 && !PROJECT_HORIZON_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `A ${level} cannot have projects under it` });
+      }
+    }
+
+    if (level === 'area' && (req.body.name || level !== existing.level)) {
+      const namesake = await gtdDB.getAreaByName(req.body.name || existing.name);
+      if (namesake && namesake.id !== existing.id) {
+        return res.status(409).json({ error: 'An area with this name already exists' });
+      }
+    }
+
+    const horizon = await gtdDB.updateHorizon(existing.id, req.body);
+    res.json(horizon || existing);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/horizons/:id', async (req, res) => {
+  try {
+    const deleted = await gtdDB.deleteHorizon(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Horizon not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Areas of responsibility, as GET /api/horizons?level=area lists them plus
+// their document counts; area and count keep the old flat shape working
+app.get('/api/areas', async (req, res) => {
+  try {
+    const areas = await gtdDB.listAreas();
+    res.json(areas.map(area => ({ ...area, area: area.name, count: area.document_count })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Migration endpoints
+app.post('/api/migrate/evernote', upload.single('enex'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'ENEX file is required' });
+    }
+    
+    const processor = new EvernoteProcessor();
+    await processor.initMigration();
+    
+    // Process in background
+    const content = req.file.buffer.toString('utf8');
+    processor.processENEXContent(content).catch(error => {
+      console.error('Migration error:', error);
+    });
+    
+    res.json({
+      migrationId: processor.migrationId,
+      message: 'Migration started. Check /api/migrate/status/:id for progress'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/migrate/status/:id', async (req, res) => {
+  try {
+    const status = await gtdDB.getMigrationProgress(req.params.id);
+    
+    if (!status) {
+      return res.status(404).json({ error: 'Migration not found' });
+    }
+    
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Embedding queue processor endpoint
+app.post('/api/embeddings/process', validateBody(schemas.embeddingsProcess), async (req, res) => {
+  try {
+    const { batchSize } = req.body;
+    const stats = await searchService.processEmbeddingQueue(batchSize);
+    
+    res.json({
+      message: 'Embedding processing completed',
+      ...stats
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Weekly review endpoint
+app.get('/api/review/weekly', async (req, res) => {
+  try {
+    const stats = await gtdDB.query(`
+      WITH weekly_stats AS (
+        SELECT 
+          COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '7 days') as new_items,
+          COUNT(*) FILTER (WHERE completed_at > NOW() - INTERVAL '7 days') as completed,
+          COUNT(*) FILTER (WHERE gtd_status = 'active' AND created_at < NOW() - INTERVAL '30 days') as stale,
+          COUNT(*) FILTER (WHERE gtd_status = 'active') as active_total
+        FROM documents
+      ),
+      context_breakdown AS (
+        SELECT gtd_context, COUNT(*) as count
+        FROM documents, UNNEST(gtd_contexts) as gtd_context
+        WHERE gtd_status = 'active'
+        GROUP BY gtd_context
+        ORDER BY count DESC
+      ),
+      project_status AS (
+        SELECT gtd_project, COUNT(*) as count
+        FROM documents
+        WHERE gtd_project IS NOT NULL
+        AND gtd_status = 'active'
+        GROUP BY gtd_project
+        ORDER BY count DESC
+        LIMIT 10
+      )
+      SELECT 
+        ws.*,
+        (SELECT json_agg(row_to_json(cb)) FROM context_breakdown cb) as contexts,
+        (SELECT json_agg(row_to_json(ps)) FROM project_status ps) as projects
+      FROM weekly_stats ws
+    `);
+    
+    // Someday/maybe gets reconsidered every week
+    const someday = await gtdDB.getSomedayItems();
+
+    res.json({
+      ...stats.rows[0],
+      someday: {
+        total: someday.documentTotal,
+        documents: someday.documents,
+        projects: someday.projects
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Guided weekly review: a persisted walk through the checklist in REVIEW_STEPS
+app.post('/api/review/sessions', validateBody(schemas.reviewStart), async (req, res) => {
+  try {
+    const session = await gtdDB.startReviewSession(req.body);
+
+    if (!session) {
+      const active = await gtdDB.getActiveReviewSession();
+      return res.status(409).json({
+        error: 'A weekly review is already in progress',
+        session_id: active ? active.id : null
+      });
+    }
+
+    res.status(201).json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Review history, newest first; completed sessions carry their snapshot
+app.get('/api/review/sessions', validateQuery(schemas.reviewQuery), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const page = await gtdDB.listReviewSessions(req.query);
+
+    res.json({
+      sessions: page.sessions,
+      count: page.sessions.length,
+      limit,
+      offset,
+      has_more: page.hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/review/sessions/current', async (req, res) => {
+  try {
+    const session = await gtdDB.getActiveReviewSession();
+
+    if (!session) {
+      return res.status(404).json({ error: 'No weekly review in progress' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/review/sessions/:id', async (req, res) => {
+  try {
+    const session = await gtdDB.getReviewSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Review session not found' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A checklist step with the items it covers
+app.get('/api/review/sessions/:id/steps/:step', async (req, res) => {
+  try {
+    const session = await gtdDB.getReviewSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Review session not found' });
+    }
+
+    const step = session.steps.find(entry => entry.step === req.params.step);
+    if (!step) {
+      return res.status(404).json({ error: 'Review step not found' });
+    }
+
+    res.json({ ...step, ...(await gtdDB.getReviewStepItems(session.id, step.step)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/review/sessions/:id/steps/:step', validateBody(schemas.reviewStepUpdate), async (req, res) => {
+  try {
+    const session = await gtdDB.getReviewSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Review session not found' });
+    }
+
+    if (!REVIEW_STEPS.includes(req.params.step)) {
+      return res.status(404).json({ error: 'Review step not found' });
+    }
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ error: 'This review is no longer in progress' });
+    }
+
+    await gtdDB.updateReviewStep(session.id, req.params.step, req.body);
+    res.json(await gtdDB.getReviewSession(session.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const REVIEW_ITEM_NOT_FOUND = {
+  document: 'Document not found',
+  project: 'Project not found',
+  action: 'Action not found'
+};
+
+// Mark a document, project or action as reviewed in this session
+app.post('/api/review/sessions/:id/items', validateBody(schemas.reviewItemMark), async (req, res) => {
+  try {
+    const session = await gtdDB.getReviewSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Review session not found' });
+    }
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ error: 'This review is no longer in progress' });
+    }
+
+    const item = await gtdDB.markReviewItem(session.id, req.body);
+    if (!item) {
+      return res.status(404).json({ error: REVIEW_ITEM_NOT_FOUND[req.body.type] });
+    }
+
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finish the review and snapshot the system; every step must be done or
+// skipped unless force is set
+app.post('/api/review/sessions/:id/complete', validateBody(schemas.reviewComplete), async (req, res) => {
+  try {
+    const session = await gtdDB.getReviewSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Review session not found' });
+    }
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ error: 'This review is no longer in progress' });
+    }
+
+    const unfinished = session.steps
+      .filter(step => step.status === 'pending' || step.status === 'in_progress')
+      .map(step => step.step);
+    if (unfinished.length > 0 && !req.body.force) {
+      return res.status(409).json({ error: 'Some review steps are not finished', unfinished_steps: unfinished });
+    }
+
+    const completed = await gtdDB.completeReviewSession(session.id, req.body);
+    if (!completed) {
+      return res.status(409).json({ error: 'This review is no longer in progress' });
+    }
+
+    res.json(completed);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/review/sessions/:id/abandon', async (req, res) => {
+  try {
+    const session = await gtdDB.getReviewSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Review session not found' });
+    }
+
+    const abandoned = await gtdDB.abandonReviewSession(session.id);
+    if (!abandoned) {
+      return res.status(409).json({ error: 'This review is no longer in progress' });
+    }
+
+    res.json(abandoned);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// When each open project was last reviewed, never-reviewed first
+app.get('/api/review/projects', async (req, res) => {
+  try {
+    const projects = await gtdDB.getProjectReviewHistory();
+    res.json({ projects, count: projects.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Capture endpoint for n8n webhooks
+app.post('/api/capture/:type', validateBody(schemas.capture, { allowUnknown: true }), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const data = req.body;
+    
+    if (!/^[A-Za-z0-9_-]{1,50}$/.test(type)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'type', message: 'must be 1-50 letters, digits, dashes or underscores' }]
+      });
+    }
+    
+    // Create document based on capture type
+    const document = await gtdDB.transaction(async (client) => {
+      const created = await gtdDB.createDocument({
+        title: data.title || `${type} capture - ${new Date().toLocaleString()}`,
+        content: data.content || data.text || JSON.stringify(data),
+        gtdContexts: data.contexts || ['@inbox'],
+        sourceType: type,
+        metadata: data.metadata || data
+      }, client);
+      
+      // Queue for processing
+      await gtdDB.addToEmbeddingQueue(created.id, 5, client);
+      await gtdDB.refreshDocumentLinks(created.id, client);
+      return created;
+    });
+    
+    res.json({
+      success: true,
+      documentId: document.id
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start server
+async function startServer() {
+  try {
+    // Initialize database connection
     await gtdDB.connect();
     console.log('✅ Database connected');
     
+    // Purge documents that have sat in the trash past the retention window
+    if (TRASH_RETENTION_DAYS > 0 && TRASH_PURGE_INTERVAL_MS) {
+      scheduleJob('trash-purge', TRASH_PURGE_INTERVAL_MS, async () => {
+        const { documentIds, storagePaths } = await gtdDB.purgeTrash(TRASH_RETENTION_DAYS);
+        const blobsRemoved = await releaseAttachmentBlobs(storagePaths);
+        if (documentIds.length > 0) {
+          console.log(`🗑️  Purged ${documentIds.length} document(s) from trash`);
+        }
+        return { purged: documentIds.length, blobs_removed: blobsRemoved };
+      }, { runOnStart: true });
+    }
+    
+    // Extract text from imported attachments and retry failed extractions
+    if (ATTACHMENT_EXTRACTION_INTERVAL_MS) {
+      scheduleJob('attachment-text-extraction', ATTACHMENT_EXTRACTION_INTERVAL_MS, async () => {
+        const stats = await textExtractor.processQueue();
+        if (stats.processed + stats.failed > 0) {
+          console.log(`📄 Extracted text from ${stats.processed} attachment(s), ${stats.failed} failed`);
+        }
+        return stats;
+      }, { runOnStart: true });
+    }
+    
+    // Bring tickled documents back into @inbox once their date arrives
+    if (TICKLER_INTERVAL_MS) {
+      scheduleJob('tickler-promotion', TICKLER_INTERVAL_MS, async () => {
+        const promoted = await gtdDB.promoteDueTicklers();
+        if (promoted.length > 0) {
+          console.log(`📆 Moved ${promoted.length} tickled document(s) back into @inbox`);
+        }
+        return { promoted: promoted.length };
+      }, { runOnStart: true });
+    }
+    
     app.listen(PORT, () => {
       console.log(`🚀 GTD API Server running on port ${PORT}`);
       console.log(`📍 Health check: http://localhost:${PORT}/health`);
@@ -420,12 +2603,14 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopAllJobs();
   await gtdDB.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  stopAllJobs();
   await gtdDB.close();
   process.exit(0);
 });
@@ -1,11 +1,6 @@
 #!/usr/bin/env node
 import { gtdDB } from './lib/gtd-database-client.js';
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { runPendingMigrations } from './lib/migration-runner.js';
 
 async function runMigrationsIfNeeded() {
   console.log('🚀 GTD API Service - Startup Check');
@@ -23,43 +18,15 @@ async function runMigrationsIfNeeded() {
     await gtdDB.connect();
     console.log('✅ Database connected successfully\n');
     
-    // Check if tables exist
-    const tablesResult = await gtdDB.query(`
-      SELECT COUNT(*) as count 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name = 'documents'
-    `);
-    
-    const tablesExist = parseInt(tablesResult.rows[0].count) > 0;
+    // Apply any migrations this database has not seen yet
+    const applied = await runPendingMigrations(gtdDB, {
+      log: () => process.stdout.write('.')
+    });
     
-    if (!tablesExist) {
-      console.log('📋 Tables not found. Running migrations...\n');
-      
-      // Read and execute migration
-      const migrationPath = join(__dirname, 'migrations', '005_gtd_productivity_schema.sql');
-      const migrationSQL = await readFile(migrationPath, 'utf8');
-      
-      // Split and execute statements
-      const statements = migrationSQL
-        .split(/;[\s]*$/m)
-        .map(s => s.trim())
-        .filter(s => s.length > 0 && !s.startsWith('--'));
-      
-      for (const statement of statements) {
-        try {
-          await gtdDB.query(statement);
-          process.stdout.write('.');
-        } catch (error) {
-          if (!error.message.includes('already exists')) {
-            console.error(`\n⚠️  Migration warning: ${error.message}`);
-          }
-        }
-      }
-      
-      console.log('\n✅ Migrations completed!');
+    if (applied.length > 0) {
+      console.log(`\n✅ Applied ${applied.length} migration(s): ${applied.join(', ')}`);
     } else {
-      console.log('✅ Database tables already exist');
+      console.log('✅ Database schema is up to date');
     }
     
     // Close connection pool before starting main server
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Checks for the database-free logic: recurrence rules and the search query
+// parser. Run with `npm run test:unit`; `npm test` needs a live database.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRule, nextDueDate, previewOccurrences, fromWallClock } from './lib/recurrence.js';
+import { GTDSearchService } from './lib/gtd-search-service.js';
+
+const iso = date => date && date.toISOString();
+
+test('parseRule normalises rules and rejects ones we cannot schedule', () => {
+  assert.equal(parseRule('rrule:freq=weekly;byday=mo'), 'FREQ=WEEKLY;BYDAY=MO');
+
+  assert.throws(() => parseRule('FREQ=MINUTELY'), /FREQ must be one of/);
+  assert.throws(() => parseRule('FREQ=DAILY;INTERVAL=0'), /INTERVAL must be at least 1/);
+  assert.throws(() => parseRule('FREQ=DAILY;COUNT=0'), /COUNT must be at least 1/);
+  assert.throws(() => parseRule('FREQ=DAILY;TZID=UTC'), /must not set DTSTART or TZID/);
+  assert.throws(() => parseRule('DTSTART:20240101T000000Z\nRRULE:FREQ=DAILY'), /single RRULE/);
+  assert.throws(() => parseRule(''), /single RRULE/);
+});
+
+test('a 09:00 action stays at 09:00 across daylight saving changes', () => {
+  // London springs forward on 31 March 2024: 09:00 GMT, then 09:00 BST
+  const spring = { rule: 'FREQ=WEEKLY', timezone: 'Europe/London', dtstart: '2024-03-28T09:00:00Z', mode: 'due' };
+  assert.equal(iso(nextDueDate(spring, { dueAt: spring.dtstart })), '2024-04-04T08:00:00.000Z');
+
+  // New York falls back on 3 November 2024: 09:00 EDT, then 09:00 EST
+  const autumn = { rule: 'FREQ=WEEKLY', timezone: 'America/New_York', dtstart: '2024-10-28T13:00:00Z', mode: 'due' };
+  assert.equal(iso(nextDueDate(autumn, { dueAt: autumn.dtstart })), '2024-11-04T14:00:00.000Z');
+});
+
+test('wall-clock times skipped by a daylight saving change resolve to just after it', () => {
+  // 01:30 on 31 March 2024 does not exist in London; 02:30 BST does
+  assert.equal(iso(fromWallClock(new Date('2024-03-31T01:30:00Z'), 'Europe/London')), '2024-03-31T01:30:00.000Z');
+});
+
+test('exception dates are skipped', () => {
+  const series = {
+    rule: 'FREQ=DAILY', timezone: 'UTC', dtstart: '2024-01-01T09:00:00Z', exceptions: ['2024-01-02']
+  };
+  assert.equal(iso(nextDueDate(series, { dueAt: series.dtstart })), '2024-01-03T09:00:00.000Z');
+});
+
+test('COUNT ends a due-mode series', () => {
+  const series = { rule: 'FREQ=DAILY;COUNT=2', timezone: 'UTC', dtstart: '2024-01-01T09:00:00Z', mode: 'due' };
+  assert.equal(iso(nextDueDate(series, { dueAt: '2024-01-01T09:00:00Z' })), '2024-01-02T09:00:00.000Z');
+  assert.equal(nextDueDate(series, { dueAt: '2024-01-02T09:00:00Z' }), null);
+});
+
+test('completion mode restarts the rule on the completion day at the due time of day', () => {
+  const series = { rule: 'FREQ=DAILY;INTERVAL=3', timezone: 'UTC', dtstart: '2024-01-01T09:00:00Z', mode: 'completion' };
+  const next = nextDueDate(series, { dueAt: '2024-01-01T09:00:00Z', completedAt: '2024-01-05T17:30:00Z' });
+  assert.equal(iso(next), '2024-01-08T09:00:00.000Z');
+});
+
+test('completion mode counts COUNT against the instances the series already has', () => {
+  const series = { rule: 'FREQ=DAILY;COUNT=3', timezone: 'UTC', dtstart: '2024-01-01T09:00:00Z', mode: 'completion' };
+  const done = { dueAt: '2024-01-01T09:00:00Z', completedAt: '2024-01-01T10:00:00Z' };
+
+  assert.equal(iso(nextDueDate(series, { ...done, instanceCount: 2 })), '2024-01-02T09:00:00.000Z');
+  assert.equal(nextDueDate(series, { ...done, instanceCount: 3 }), null);
+  assert.deepEqual(
+    previewOccurrences(series, { dueAt: '2024-01-01T09:00:00Z', count: 5 }).map(iso),
+    ['2024-01-02T09:00:00.000Z', '2024-01-03T09:00:00.000Z']
+  );
+});
+
+const searchService = new GTDSearchService();
+
+test('parseQuery splits field operators from the search text', () => {
+  const parsed = searchService.parseQuery(
+    'context:@phone project:"Kitchen Remodel" status:Active before:2024-01-01 has:attachment plumber -receipt'
+  );
+
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.text, 'plumber -receipt');
+  assert.equal(parsed.semanticText, 'plumber');
+  assert.deepEqual(parsed.operators, {
+    contexts_all: ['@phone'],
+    project: ['Kitchen Remodel'],
+    status: ['active'],
+    created_before: '2024-01-01T00:00:00.000Z',
+    has_attachment: true
+  });
+});
+
+test('parseQuery negates operators and keeps unknown name:value pairs as text', () => {
+  const parsed = searchService.parseQuery('call -context:office -project:x -has:attachment "exact phrase" http://x.com');
+
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.text, 'call "exact phrase" http://x.com');
+  assert.equal(parsed.semanticText, 'call exact phrase http://x.com');
+  assert.deepEqual(parsed.operators, {
+    exclude_contexts: ['@office'],
+    exclude_project: ['x'],
+    has_attachment: false
+  });
+});
+
+test('parseQuery keeps the tightest of repeated date bounds', () => {
+  const { operators } = searchService.parseQuery('before:2024-03-01 before:2024-02-01 after:2023-01-01 after:2023-06-01');
+  assert.equal(operators.created_before, '2024-02-01T00:00:00.000Z');
+  assert.equal(operators.created_after, '2023-06-01T00:00:00.000Z');
+});
+
+test('parseQuery reports each problem with its token and position', () => {
+  const { errors } = searchService.parseQuery('a after:2023-02-30 status:bogus -before:2024-01-01 contexts: project:"open');
+
+  assert.deepEqual(errors.map(({ operator, token, position }) => ({ operator, token, position })), [
+    { operator: 'after', token: 'after:2023-02-30', position: 2 },
+    { operator: 'status', token: 'status:bogus', position: 19 },
+    { operator: 'before', token: '-before:2024-01-01', position: 32 },
+    { operator: 'context', token: 'contexts:', position: 51 },
+    { operator: 'project', token: 'project:"open', position: 61 }
+  ]);
+  assert.ok(errors.every(error => error.field === 'query' && error.message));
+  assert.match(errors[4].message, /Unterminated quote/);
+});
+
+test('parseQuery rejects an after: bound that is not earlier than before:', () => {
+  const { errors } = searchService.parseQuery('plumber after:2024-05-01 before:2024-01-01');
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].operator, 'after');
+  assert.equal(errors[0].token, 'after:2024-05-01');
+  assert.equal(errors[0].position, 8);
+  assert.match(errors[0].message, /earlier than before:/);
+});
+
+test('tokenizeQuery keeps quoted values together with their offsets', () => {
+  assert.deepEqual(searchService.tokenizeQuery('a "b c" d:"e f" "open'), [
+    { raw: 'a', position: 0, unterminated: false },
+    { raw: '"b c"', position: 2, unterminated: false },
+    { raw: 'd:"e f"', position: 8, unterminated: false },
+    { raw: '"open', position: 16, unterminated: true }
+  ]);
+});